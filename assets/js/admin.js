@@ -0,0 +1,537 @@
+/**
+ * ACTA Website Admin JavaScript
+ * Staff inquiry inbox: sign in, list, search and filter inquiries, and set status and owner.
+ * Access is decided by the staff member's Supabase Auth session and row level security.
+ */
+
+import { debounce, readConfig } from './core.js';
+import { initSupabase } from './supabase-client.js';
+
+// Inbox configuration
+const ADMIN_CONFIG = {
+    pageSize: 25,
+    searchDebounce: 300,
+    formSchemaPath: 'assets/forms/',
+    signedUrlSeconds: 60,
+    defaultBucket: 'inquiry-attachments',
+    defaultReviewEndpoint: '/api/attachments/review',
+    statusLabels: {
+        new: 'New',
+        in_progress: 'In progress',
+        closed: 'Closed',
+        spam: 'Spam'
+    },
+    // Shown in the detail header rather than the field list
+    headerFields: ['full_name', 'organisation', 'email', 'phone', 'message', 'consent'],
+    searchColumns: ['full_name', 'email', 'organisation', 'message']
+};
+
+// DOM elements
+const loadingElement = document.getElementById('admin-loading');
+const signInSection = document.getElementById('admin-signin');
+const deniedSection = document.getElementById('admin-denied');
+const inboxSection = document.getElementById('admin-inbox');
+const sessionElement = document.getElementById('admin-session');
+const userElement = document.getElementById('admin-user');
+const signOutButton = document.getElementById('admin-signout');
+const signInForm = document.getElementById('signin-form');
+const signInError = document.getElementById('signin-error');
+const filterForm = document.getElementById('inbox-filters');
+const filters = {
+    search: document.getElementById('filter-search'),
+    status: document.getElementById('filter-status'),
+    spamMax: document.getElementById('filter-spam-max'),
+    from: document.getElementById('filter-from'),
+    to: document.getElementById('filter-to')
+};
+const listElement = document.getElementById('inquiry-list');
+const countElement = document.getElementById('inbox-count');
+const listError = document.getElementById('inbox-error');
+const prevButton = document.getElementById('inbox-prev');
+const nextButton = document.getElementById('inbox-next');
+const detailEmpty = document.getElementById('detail-empty');
+const detailContent = document.getElementById('detail-content');
+const detailStatus = document.getElementById('detail-status');
+const detailOwner = document.getElementById('detail-owner');
+const detailSaveStatus = document.getElementById('detail-save-status');
+const detailFields = document.getElementById('detail-fields');
+const detailAttachments = document.getElementById('detail-attachments');
+
+// State
+let client = null;
+let currentUser = null;
+let staff = [];
+let page = 0;
+let inquiries = [];
+let totalCount = 0;
+let selectedId = null;
+let loadToken = 0;
+let attachmentsBucket = ADMIN_CONFIG.defaultBucket;
+let reviewEndpoint = ADMIN_CONFIG.defaultReviewEndpoint;
+const schemaCache = {};
+
+// Initialize the inbox (data-acta-admin)
+export async function init() {
+    if (!signInForm || !inboxSection) {
+        console.warn('Admin elements not found');
+        return;
+    }
+    
+    const settings = readConfig(document.getElementById('supabase'), {
+        attachmentsBucket: ADMIN_CONFIG.defaultBucket,
+        reviewEndpoint: ADMIN_CONFIG.defaultReviewEndpoint
+    });
+    attachmentsBucket = settings.attachmentsBucket;
+    reviewEndpoint = settings.reviewEndpoint;
+    
+    try {
+        client = await initSupabase();
+    } catch (error) {
+        console.error('Failed to initialise Supabase:', error);
+        loadingElement.textContent = 'The inbox is not configured. Check the Supabase settings on this page.';
+        return;
+    }
+    
+    addEventListeners();
+    
+    // React to sign in, sign out and session expiry
+    client.auth.onAuthStateChange((event, session) => {
+        if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') {
+            handleSession(session);
+        }
+    });
+    
+    const { data } = await client.auth.getSession();
+    handleSession(data.session);
+}
+
+// Add event listeners
+function addEventListeners() {
+    signInForm.addEventListener('submit', handleSignIn);
+    signOutButton.addEventListener('click', () => client.auth.signOut());
+    
+    // Filters reload the first page; typing in search is debounced
+    filterForm.addEventListener('submit', e => e.preventDefault());
+    filters.search.addEventListener('input', debounce(reloadFirstPage, ADMIN_CONFIG.searchDebounce));
+    [filters.status, filters.spamMax, filters.from, filters.to].forEach(input => {
+        input.addEventListener('change', reloadFirstPage);
+    });
+    
+    prevButton.addEventListener('click', () => changePage(-1));
+    nextButton.addEventListener('click', () => changePage(1));
+    
+    detailStatus.addEventListener('change', () => updateSelected({ status: detailStatus.value }));
+    detailOwner.addEventListener('change', () => updateSelected({ owner_id: detailOwner.value || null }));
+}
+
+// Show one of the page states: loading, signin, denied or inbox
+function showView(view) {
+    loadingElement.classList.toggle('hidden', view !== 'loading');
+    signInSection.classList.toggle('hidden', view !== 'signin');
+    deniedSection.classList.toggle('hidden', view !== 'denied');
+    inboxSection.classList.toggle('hidden', view !== 'inbox');
+    sessionElement.classList.toggle('hidden', view === 'signin' || view === 'loading');
+}
+
+// Route the page by session and staff membership
+async function handleSession(session) {
+    currentUser = session ? session.user : null;
+    
+    if (!currentUser) {
+        showView('signin');
+        return;
+    }
+    
+    userElement.textContent = currentUser.email;
+    showView('loading');
+    
+    const { data, error } = await client
+        .from('staff')
+        .select('user_id, email, display_name')
+        .eq('active', true)
+        .order('display_name');
+    
+    // Row level security only returns staff rows to staff
+    if (error || !data.some(member => member.user_id === currentUser.id)) {
+        if (error) console.error('Failed to load staff:', error);
+        showView('denied');
+        return;
+    }
+    
+    staff = data;
+    renderOwnerOptions();
+    showView('inbox');
+    reloadFirstPage();
+}
+
+// Sign in with email and password
+async function handleSignIn(e) {
+    e.preventDefault();
+    
+    const submitButton = signInForm.querySelector('button[type="submit"]');
+    signInError.classList.add('hidden');
+    submitButton.disabled = true;
+    
+    const { error } = await client.auth.signInWithPassword({
+        email: document.getElementById('signin-email').value.trim(),
+        password: document.getElementById('signin-password').value
+    });
+    
+    submitButton.disabled = false;
+    
+    if (error) {
+        signInError.textContent = 'Sign in failed. Check your email and password.';
+        signInError.classList.remove('hidden');
+        return;
+    }
+    
+    signInForm.reset();
+}
+
+// Fill the owner dropdown from the staff list
+function renderOwnerOptions() {
+    detailOwner.length = 1;
+    
+    staff.forEach(member => {
+        const option = document.createElement('option');
+        option.value = member.user_id;
+        option.textContent = member.display_name || member.email;
+        detailOwner.appendChild(option);
+    });
+}
+
+// Escape PostgREST filter syntax in a search term
+function searchPattern(term) {
+    return `%${term.replace(/[%_,()\\]/g, ' ').trim()}%`;
+}
+
+// Build the inquiries query from the filters
+function buildQuery() {
+    let query = client
+        .from('inquiries')
+        .select('id, created_at, full_name, organisation, email, form_type, status, owner_id, spam_score', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(page * ADMIN_CONFIG.pageSize, (page + 1) * ADMIN_CONFIG.pageSize - 1);
+    
+    const search = filters.search.value.trim();
+    if (search) {
+        const pattern = searchPattern(search);
+        query = query.or(ADMIN_CONFIG.searchColumns.map(column => `${column}.ilike.${pattern}`).join(','));
+    }
+    
+    if (filters.status.value) {
+        query = query.eq('status', filters.status.value);
+    }
+    
+    if (filters.spamMax.value !== '') {
+        query = query.lte('spam_score', parseInt(filters.spamMax.value, 10));
+    }
+    
+    if (filters.from.value) {
+        query = query.gte('created_at', new Date(`${filters.from.value}T00:00:00`).toISOString());
+    }
+    
+    if (filters.to.value) {
+        const end = new Date(`${filters.to.value}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        query = query.lt('created_at', end.toISOString());
+    }
+    
+    return query;
+}
+
+// Load the current page of inquiries
+async function loadInquiries() {
+    const token = ++loadToken;
+    listError.classList.add('hidden');
+    countElement.textContent = 'Loading…';
+    
+    const { data, count, error } = await buildQuery();
+    
+    // A newer filter change has already started another load
+    if (token !== loadToken) return;
+    
+    if (error) {
+        console.error('Failed to load inquiries:', error);
+        listError.textContent = 'Inquiries could not be loaded. Please try again.';
+        listError.classList.remove('hidden');
+        countElement.textContent = '';
+        return;
+    }
+    
+    inquiries = data;
+    totalCount = count || 0;
+    renderList();
+}
+
+// Reload from the first page after a filter change
+function reloadFirstPage() {
+    page = 0;
+    loadInquiries();
+}
+
+// Move between pages
+function changePage(delta) {
+    page = Math.max(0, page + delta);
+    loadInquiries();
+}
+
+// Format a timestamp for display
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+// Name of a staff member by user id
+function ownerName(ownerId) {
+    const member = staff.find(item => item.user_id === ownerId);
+    return member ? (member.display_name || member.email) : '';
+}
+
+// Render the inquiry list and pagination
+function renderList() {
+    const first = totalCount ? page * ADMIN_CONFIG.pageSize + 1 : 0;
+    const last = page * ADMIN_CONFIG.pageSize + inquiries.length;
+    
+    countElement.textContent = totalCount ? `${first}–${last} of ${totalCount}` : 'No inquiries match these filters';
+    prevButton.disabled = page === 0;
+    nextButton.disabled = last >= totalCount;
+    
+    listElement.textContent = '';
+    
+    inquiries.forEach(inquiry => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        const title = document.createElement('span');
+        const meta = document.createElement('span');
+        const owner = ownerName(inquiry.owner_id);
+        
+        button.type = 'button';
+        button.className = 'w-full text-left px-4 py-3 hover:bg-slate-50 focus:bg-slate-50 transition-colors';
+        button.setAttribute('aria-current', inquiry.id === selectedId ? 'true' : 'false');
+        if (inquiry.id === selectedId) {
+            button.classList.add('bg-brand/5');
+        }
+        
+        title.className = 'block font-medium text-navy truncate';
+        title.textContent = `${inquiry.full_name}${inquiry.organisation ? ` — ${inquiry.organisation}` : ''}`;
+        
+        meta.className = 'block text-xs text-ink/60';
+        meta.textContent = [
+            formatDate(inquiry.created_at),
+            ADMIN_CONFIG.statusLabels[inquiry.status] || inquiry.status,
+            `spam ${inquiry.spam_score ?? '–'}`,
+            owner ? `owner ${owner}` : null
+        ].filter(Boolean).join(' · ');
+        
+        button.appendChild(title);
+        button.appendChild(meta);
+        button.addEventListener('click', () => selectInquiry(inquiry.id));
+        
+        item.appendChild(button);
+        listElement.appendChild(item);
+    });
+}
+
+// Load a form schema for field labels in the detail view
+async function loadSchema(formType) {
+    if (!schemaCache[formType]) {
+        schemaCache[formType] = fetch(`${ADMIN_CONFIG.formSchemaPath}${encodeURIComponent(formType)}.json`)
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null);
+    }
+    
+    return schemaCache[formType];
+}
+
+// Load and show one inquiry
+async function selectInquiry(id) {
+    selectedId = id;
+    renderList();
+    
+    const [{ data: inquiry, error }, { data: attachments }] = await Promise.all([
+        client.from('inquiries').select('*').eq('id', id).single(),
+        client.from('attachments').select('id, file_name, size_bytes, status, storage_path').eq('inquiry_id', id)
+    ]);
+    
+    if (selectedId !== id) return;
+    
+    if (error) {
+        console.error('Failed to load inquiry:', error);
+        detailSaveStatus.textContent = 'This inquiry could not be loaded.';
+        return;
+    }
+    
+    const schema = await loadSchema(inquiry.form_type || 'contact');
+    renderDetail(inquiry, schema, attachments || []);
+}
+
+// Render the detail view
+function renderDetail(inquiry, schema, attachments) {
+    detailEmpty.classList.add('hidden');
+    detailContent.classList.remove('hidden');
+    detailSaveStatus.textContent = '';
+    
+    detailContent.querySelectorAll('[data-detail]').forEach(element => {
+        const key = element.getAttribute('data-detail');
+        let value = inquiry[key];
+        
+        if (key === 'created_at') value = formatDate(value);
+        if (key === 'spam_reasons') value = value && value.length ? `(${value.join(', ')})` : '';
+        if (key === 'email') element.href = `mailto:${value}`;
+        
+        element.textContent = value ?? '';
+    });
+    
+    detailStatus.value = inquiry.status || 'new';
+    detailOwner.value = inquiry.owner_id || '';
+    
+    // Form-specific fields, labelled from the form schema
+    detailFields.textContent = '';
+    (schema ? schema.fields : [])
+        .filter(field => field.column && !ADMIN_CONFIG.headerFields.includes(field.column))
+        .forEach(field => {
+            const term = document.createElement('dt');
+            const description = document.createElement('dd');
+            
+            term.className = 'text-ink/60';
+            term.textContent = field.label;
+            description.className = 'text-ink';
+            description.textContent = inquiry[field.column] ?? '—';
+            
+            detailFields.appendChild(term);
+            detailFields.appendChild(description);
+        });
+    
+    renderAttachments(attachments);
+}
+
+// List attachments; only approved files can be downloaded, quarantined ones can be
+// approved or rejected
+function renderAttachments(attachments) {
+    detailAttachments.textContent = '';
+    
+    if (!attachments.length) {
+        const item = document.createElement('li');
+        item.className = 'text-ink/60';
+        item.textContent = 'None';
+        detailAttachments.appendChild(item);
+        return;
+    }
+    
+    attachments.forEach(attachment => {
+        const item = document.createElement('li');
+        const size = `${Math.max(1, Math.round(attachment.size_bytes / 1024))} KB`;
+        
+        if (attachment.status === 'approved') {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'text-brand hover:underline';
+            link.textContent = `${attachment.file_name} (${size})`;
+            link.addEventListener('click', () => downloadAttachment(attachment));
+            item.appendChild(link);
+        } else {
+            item.textContent = `${attachment.file_name} (${size}) — ${attachment.status}`;
+            item.className = 'text-ink/70';
+        }
+        
+        if (attachment.status === 'quarantined') {
+            item.appendChild(reviewButton(attachment, 'approve', 'Approve'));
+            item.appendChild(reviewButton(attachment, 'reject', 'Reject'));
+        }
+        
+        detailAttachments.appendChild(item);
+    });
+}
+
+// Button for one review action on a quarantined attachment
+function reviewButton(attachment, action, label) {
+    const button = document.createElement('button');
+    
+    button.type = 'button';
+    button.className = 'ml-3 text-brand hover:underline';
+    button.textContent = label;
+    button.setAttribute('aria-label', `${label} ${attachment.file_name}`);
+    button.addEventListener('click', () => reviewAttachment(attachment, action));
+    
+    return button;
+}
+
+// Approve (move out of quarantine) or reject (delete) an attachment through the
+// submission server, which holds the storage credentials, then reload the inquiry
+async function reviewAttachment(attachment, action) {
+    if (action === 'reject' && !window.confirm(`Delete ${attachment.file_name}? This cannot be undone.`)) {
+        return;
+    }
+    
+    const id = selectedId;
+    detailSaveStatus.textContent = 'Saving…';
+    
+    try {
+        const { data } = await client.auth.getSession();
+        const response = await fetch(reviewEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${data.session ? data.session.access_token : ''}`
+            },
+            body: JSON.stringify({ id: attachment.id, action })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Review failed with status ${response.status}`);
+        }
+    } catch (error) {
+        console.error('Failed to review attachment:', error);
+        detailSaveStatus.textContent = 'The attachment could not be reviewed. Please try again.';
+        return;
+    }
+    
+    if (selectedId === id) {
+        await selectInquiry(id);
+        detailSaveStatus.textContent = action === 'approve' ? 'Attachment approved' : 'Attachment rejected';
+    }
+}
+
+// Open an approved attachment through a short-lived signed URL
+async function downloadAttachment(attachment) {
+    const { data, error } = await client.storage
+        .from(attachmentsBucket)
+        .createSignedUrl(attachment.storage_path, ADMIN_CONFIG.signedUrlSeconds);
+    
+    if (error) {
+        console.error('Failed to sign attachment URL:', error);
+        detailSaveStatus.textContent = 'The attachment could not be opened.';
+        return;
+    }
+    
+    window.open(data.signedUrl, '_blank', 'noopener');
+}
+
+// Save status or owner changes on the selected inquiry
+async function updateSelected(changes) {
+    if (!selectedId) return;
+    
+    const id = selectedId;
+    const values = { ...changes };
+    if (changes.status) {
+        values.status_updated_at = new Date().toISOString();
+    }
+    
+    detailSaveStatus.textContent = 'Saving…';
+    
+    const { error } = await client.from('inquiries').update(values).eq('id', id);
+    
+    if (error) {
+        console.error('Failed to update inquiry:', error);
+        detailSaveStatus.textContent = 'The change could not be saved. Please try again.';
+        return;
+    }
+    
+    detailSaveStatus.textContent = 'Saved';
+    
+    const inquiry = inquiries.find(item => item.id === id);
+    if (inquiry) {
+        Object.assign(inquiry, changes);
+        renderList();
+    }
+}
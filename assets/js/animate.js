@@ -3,82 +3,98 @@
  * Handles scroll-triggered animations with IntersectionObserver
  */
 
-(function() {
-    'use strict';
-    
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    
-    // If user prefers reduced motion, don't initialize animations
-    if (prefersReducedMotion) {
-        // Still add the is-in class to all fade-up elements for proper display
-        document.addEventListener('DOMContentLoaded', function() {
-            const fadeUpElements = document.querySelectorAll('.fade-up');
-            fadeUpElements.forEach(element => {
-                element.classList.add('is-in');
-            });
-        });
-        return;
+import { prefersReducedMotion, onReducedMotionChange } from './core.js';
+
+// Animation configuration
+const animationConfig = {
+    root: null,
+    rootMargin: '0px 0px -50px 0px',
+    threshold: 0.1
+};
+
+// State
+let observer = null;
+let roots = [];
+
+// Animation callback
+function handleIntersection(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add('is-in');
+            observer.unobserve(entry.target);
+        }
+    });
+}
+
+// Show every fade-up element at once, without animating
+function showAll() {
+    if (observer) {
+        observer.disconnect();
+        observer = null;
     }
     
-    // Animation configuration
-    const animationConfig = {
-        root: null,
-        rootMargin: '0px 0px -50px 0px',
-        threshold: 0.1
-    };
-    
-    // Animation callback
-    function handleIntersection(entries, observer) {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add('is-in');
-                observer.unobserve(entry.target);
-            }
+    roots.forEach(root => {
+        root.querySelectorAll('.fade-up').forEach(element => {
+            element.style.willChange = '';
+            element.style.transitionDelay = '';
+            element.classList.add('is-in');
         });
+    });
+}
+
+// Initialize animations for the .fade-up elements inside each data-acta-animate element
+export function init(elements) {
+    roots = elements;
+    
+    // Reduced motion: no animation, now or after the visitor turns it on
+    if (prefersReducedMotion()) {
+        showAll();
+        return;
     }
+    onReducedMotionChange(reduce => {
+        if (reduce) {
+            showAll();
+        }
+    });
     
-    // Create intersection observer
-    const observer = new IntersectionObserver(handleIntersection, animationConfig);
+    observer = new IntersectionObserver(handleIntersection, animationConfig);
     
-    // Initialize animations
-    function init() {
-        const fadeUpElements = document.querySelectorAll('.fade-up');
-        
-        fadeUpElements.forEach((element, index) => {
+    let index = 0;
+    roots.forEach(root => {
+        root.querySelectorAll('.fade-up').forEach(element => {
             // Add will-change property for better performance
             element.style.willChange = 'opacity, transform';
             
             // Minimal stagger for visual appeal (very fast)
-            element.style.transitionDelay = `${index * 0.02}s`;
+            element.style.transitionDelay = `${index++ * 0.02}s`;
             
             // Observe element
-            observer.observe(element);
-        });
-    }
-    
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
-    
-    // Handle dynamic content (if any is added later)
-    function observeNewElements() {
-        const newFadeUpElements = document.querySelectorAll('.fade-up:not([data-observed])');
-        
-        newFadeUpElements.forEach(element => {
             element.setAttribute('data-observed', 'true');
-            element.style.willChange = 'opacity, transform';
             observer.observe(element);
         });
+    });
+}
+
+// Handle dynamic content (if any is added later)
+function observeNewElements() {
+    if (!observer) {
+        showAll();
+        return;
     }
     
-    // Expose function for external use
-    window.ACTAAnimate = {
-        observeNewElements: observeNewElements,
-        observer: observer
-    };
+    const newFadeUpElements = document.querySelectorAll('.fade-up:not([data-observed])');
     
-})();
+    newFadeUpElements.forEach(element => {
+        element.setAttribute('data-observed', 'true');
+        element.style.willChange = 'opacity, transform';
+        observer.observe(element);
+    });
+}
+
+// Expose function for external use
+window.ACTAAnimate = {
+    observeNewElements: observeNewElements,
+    get observer() {
+        return observer;
+    }
+};
@@ -3,339 +3,1253 @@
  * Handles cookie consent banner, modal, and script gating
  */
 
-(function() {
-    'use strict';
-    
-    // Consent categories
-    const CONSENT_CATEGORIES = {
-        NECESSARY: 'necessary',
-        ANALYTICS: 'analytics',
-        MARKETING: 'marketing'
-    };
+import { prefersReducedMotion, readConfig, events } from './core.js';
+import { createDialog } from './dialog.js';
+import { t, formatList, onLocaleChange } from './i18n.js';
+
+// Classic script shared with the server; importing it defines window.ACTAVendors
+import './vendors.js';
+
+// Consent categories
+const CONSENT_CATEGORIES = {
+    NECESSARY: 'necessary',
+    ANALYTICS: 'analytics',
+    MARKETING: 'marketing'
+};
+
+// How a consent choice was made, recorded with every consent record
+const CONSENT_METHODS = {
+    ACCEPT_ALL: 'accept_all',
+    REJECT: 'reject',
+    CUSTOM: 'custom'
+};
+
+// Where the visitor stands; a rejection is remembered, not treated as no answer
+const CONSENT_STATUS = {
+    UNANSWERED: 'unanswered',
+    REJECTED: 'rejected',
+    GRANTED: 'granted'
+};
+
+// Defaults for the data-* configuration on #cookie-banner
+const CONSENT_CONFIG = {
+    defaultPolicyVersion: '1',
+    defaultBannerVersion: '1',
+    defaultLifetimeMonths: 12,
+    defaultRejectLifetimeMonths: 6,
+    defaultSignalDeniedCategories: ['marketing'],
+    defaultWithdrawAction: 'reload',
+    consentModeWaitMs: 500
+};
+
+// Google Consent Mode v2 signals and the category that grants each
+const CONSENT_MODE_SIGNALS = {
+    analytics_storage: CONSENT_CATEGORIES.ANALYTICS,
+    ad_storage: CONSENT_CATEGORIES.MARKETING,
+    ad_user_data: CONSENT_CATEGORIES.MARKETING,
+    ad_personalization: CONSENT_CATEGORIES.MARKETING
+};
+
+// IAB TCF v2.2 purposes covered by each category; purpose 1 (storage) follows either
+const TCF_PURPOSES = {
+    analytics: [8, 9, 10],
+    marketing: [2, 3, 4, 5, 6, 7, 11]
+};
+
+// Vendor registry (assets/js/vendors.js): who sets which cookies, by category.
+// Withdrawing consent removes a vendor's cookies and storage keys; gated scripts
+// can add their own with data-cookies and data-storage-keys.
+const Vendors = window.ACTAVendors || { VENDORS: [], getVendor: () => null, vendorsIn: () => [] };
+
+// Message keys (assets/i18n/) for the cookie table headings on privacy.html
+const TABLE_HEADINGS = ['consent.table.name', 'consent.table.setBy', 'consent.table.category', 'consent.table.purpose', 'consent.table.retention'];
+
+// What to do with scripts already running when their category is withdrawn
+const WITHDRAW_ACTIONS = {
+    RELOAD: 'reload',
+    TEARDOWN: 'teardown'
+};
+
+// Content held back until its category is allowed: scripts, and iframe/img embeds (data-src)
+const GATED_SCRIPTS = 'script[type="text/plain"][data-cookie-category]';
+const GATED_EMBEDS = 'iframe[data-src][data-cookie-category], img[data-src][data-cookie-category]';
+
+// DOM event dispatched on document whenever consent is saved
+const CHANGE_EVENT = 'acta:consentchange';
+
+// Storage keys
+const STORAGE_KEY = 'acta_consent';
+const COOKIE_NAME = 'acta_consent';
+
+// DOM elements
+let cookieBanner, cookieModal, cookieSettingsButton;
+let acceptAllBtn, rejectBtn, manageBtn, closeModalBtn, saveBtn, acceptAllModalBtn;
+let analyticsCheckbox, marketingCheckbox, signalNotice;
+
+// State
+let currentConsent = {
+    necessary: true,
+    analytics: false,
+    marketing: false,
+    vendors: {}
+};
+let consentRecord = null;
+let modalDialog = null;
+
+// Page configuration
+let policyVersion = CONSENT_CONFIG.defaultPolicyVersion;
+let bannerVersion = CONSENT_CONFIG.defaultBannerVersion;
+let logEndpoint = null;
+let lifetimeMonths = CONSENT_CONFIG.defaultLifetimeMonths;
+let rejectLifetimeMonths = CONSENT_CONFIG.defaultRejectLifetimeMonths;
+let honourDoNotTrack = false;
+let signalDeniedCategories = CONSENT_CONFIG.defaultSignalDeniedCategories;
+let withdrawAction = CONSENT_CONFIG.defaultWithdrawAction;
+let tcfStub = false;
+
+// Browser privacy signals detected at init
+let privacySignal = {
+    gpc: false,
+    dnt: false,
+    honoured: null,
+    deniedCategories: []
+};
+
+// Gated scripts run one after another, across calls to processGatedScripts
+let scriptQueue = Promise.resolve();
+
+// onChange subscribers
+let changeListeners = [];
+
+// __tcfapi event listeners
+let tcfListeners = [];
+let tcfListenerId = 0;
+
+// Initialize consent manager for the banner (#cookie-banner[data-acta-consent])
+export function init([banner]) {
+    // Consent Mode defaults go out before any Google tag can read them
+    initConsentMode();
     
-    // Storage keys
-    const STORAGE_KEY = 'acta_consent';
-    const COOKIE_NAME = 'acta_consent';
-    const COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // 1 year in seconds
+    // Get DOM elements
+    cookieBanner = banner;
+    cookieModal = document.getElementById('cookie-modal');
+    cookieSettingsButton = document.getElementById('cookie-settings');
     
-    // DOM elements
-    let cookieBanner, cookieModal, cookieSettingsButton;
-    let acceptAllBtn, rejectBtn, manageBtn, closeModalBtn, saveBtn, acceptAllModalBtn;
-    let analyticsCheckbox, marketingCheckbox;
+    if (!cookieBanner || !cookieModal || !cookieSettingsButton) {
+        console.warn('Cookie consent elements not found');
+        return;
+    }
     
-    // State
-    let currentConsent = {
-        necessary: true,
-        analytics: false,
-        marketing: false
+    // Get button elements
+    acceptAllBtn = document.getElementById('accept-all');
+    rejectBtn = document.getElementById('reject-non-essential');
+    manageBtn = document.getElementById('manage-preferences');
+    closeModalBtn = document.getElementById('close-modal');
+    saveBtn = document.getElementById('save-preferences');
+    acceptAllModalBtn = document.getElementById('accept-all-modal');
+    
+    // Get checkbox elements
+    analyticsCheckbox = document.getElementById('analytics-consent');
+    marketingCheckbox = document.getElementById('marketing-consent');
+    signalNotice = document.getElementById('privacy-signal-notice');
+    
+    // Focus trap, inert background and scroll lock for the preferences modal
+    modalDialog = createDialog(cookieModal, { onEscape: () => hideModal() });
+    
+    // Build the vendor lists and cookie table from the vendor registry
+    renderVendorLists();
+    renderCookieTable();
+    
+    // Read the policy version and consent log endpoint
+    initConfig();
+    
+    // Honour Global Privacy Control (and Do Not Track when configured)
+    detectPrivacySignal();
+    
+    // Load existing consent
+    loadConsent();
+    
+    // Re-apply stored consent to Consent Mode and answer TCF vendor tags
+    if (consentRecord) {
+        updateConsentMode();
+    }
+    initTcfStub();
+    
+    // Check if banner should be shown
+    if (shouldShowBanner()) {
+        showBanner();
+    }
+    
+    // Add event listeners
+    addEventListeners();
+    
+    // Process gated scripts
+    processGatedScripts();
+    
+    onLocaleChange(refreshText);
+}
+
+// Re-render the generated text in the new language. The modal cannot be open here:
+// the language switchers sit behind it while it is.
+function refreshText() {
+    renderVendorLists();
+    renderCookieTable();
+    updateConsentUI();
+    
+    document.querySelectorAll('[data-cookie-placeholder]').forEach(placeholder => placeholder.remove());
+    processGatedEmbeds();
+}
+
+// Category name for a table cell ("Marketing") or inside a sentence ("marketing")
+function categoryName(category, inText = false) {
+    return t(`consent.categories${inText ? 'InText' : ''}.${category}`, {}, category);
+}
+
+// Vendor text from the catalogues, falling back to the registry's own
+function vendorPurpose(vendor) {
+    return t(`vendors.${vendor.id}.purpose`, {}, vendor.purpose);
+}
+
+// Read the consent configuration from the banner's data attributes
+function initConfig() {
+    const settings = readConfig(cookieBanner, {
+        policyVersion: CONSENT_CONFIG.defaultPolicyVersion,
+        bannerVersion: CONSENT_CONFIG.defaultBannerVersion,
+        consentEndpoint: '',
+        consentLifetimeMonths: CONSENT_CONFIG.defaultLifetimeMonths,
+        rejectLifetimeMonths: CONSENT_CONFIG.defaultRejectLifetimeMonths,
+        honourDnt: false,
+        withdrawAction: CONSENT_CONFIG.defaultWithdrawAction,
+        signalDeniedCategories: CONSENT_CONFIG.defaultSignalDeniedCategories,
+        tcfStub: false
+    });
+    
+    policyVersion = settings.policyVersion;
+    bannerVersion = settings.bannerVersion;
+    logEndpoint = settings.consentEndpoint || null;
+    lifetimeMonths = settings.consentLifetimeMonths > 0 ? settings.consentLifetimeMonths : CONSENT_CONFIG.defaultLifetimeMonths;
+    rejectLifetimeMonths = settings.rejectLifetimeMonths > 0 ? settings.rejectLifetimeMonths : CONSENT_CONFIG.defaultRejectLifetimeMonths;
+    honourDoNotTrack = settings.honourDnt;
+    withdrawAction = Object.values(WITHDRAW_ACTIONS).includes(settings.withdrawAction) ? settings.withdrawAction : CONSENT_CONFIG.defaultWithdrawAction;
+    signalDeniedCategories = settings.signalDeniedCategories.filter(category => category !== CONSENT_CATEGORIES.NECESSARY);
+    tcfStub = settings.tcfStub;
+}
+
+// Detect browser privacy signals; an honoured signal keeps its categories denied
+function detectPrivacySignal() {
+    const gpc = navigator.globalPrivacyControl === true;
+    const dnt = navigator.doNotTrack === '1' || window.doNotTrack === '1';
+    const honoured = gpc ? 'gpc' : (dnt && honourDoNotTrack ? 'dnt' : null);
+    
+    privacySignal = {
+        gpc: gpc,
+        dnt: dnt,
+        honoured: honoured,
+        deniedCategories: honoured ? signalDeniedCategories.slice() : []
     };
     
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (honoured) {
+        console.log(`Honouring ${honoured === 'gpc' ? 'Global Privacy Control' : 'Do Not Track'}: ${privacySignal.deniedCategories.join(', ')} denied`);
+    }
+}
+
+// Turn off the categories an honoured privacy signal denies
+function applyPrivacySignal(consent) {
+    const result = { ...consent };
+    
+    privacySignal.deniedCategories.forEach(category => {
+        result[category] = false;
+    });
     
-    // Initialize consent manager
-    function init() {
-        // Get DOM elements
-        cookieBanner = document.getElementById('cookie-banner');
-        cookieModal = document.getElementById('cookie-modal');
-        cookieSettingsButton = document.getElementById('cookie-settings');
-        
-        if (!cookieBanner || !cookieModal || !cookieSettingsButton) {
-            console.warn('Cookie consent elements not found');
-            return;
-        }
-        
-        // Get button elements
-        acceptAllBtn = document.getElementById('accept-all');
-        rejectBtn = document.getElementById('reject-non-essential');
-        manageBtn = document.getElementById('manage-preferences');
-        closeModalBtn = document.getElementById('close-modal');
-        saveBtn = document.getElementById('save-preferences');
-        acceptAllModalBtn = document.getElementById('accept-all-modal');
-        
-        // Get checkbox elements
-        analyticsCheckbox = document.getElementById('analytics-consent');
-        marketingCheckbox = document.getElementById('marketing-consent');
-        
-        // Load existing consent
-        loadConsent();
+    return result;
+}
+
+// Read the stored record from localStorage, or from the cookie when localStorage is empty
+function readStoredRecord() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+        return JSON.parse(stored);
+    }
+    
+    const cookie = document.cookie.split('; ').find(item => item.indexOf(`${COOKIE_NAME}=`) === 0);
+    return cookie ? JSON.parse(decodeURIComponent(cookie.slice(COOKIE_NAME.length + 1))) : null;
+}
+
+// Remove the record from both stores
+function clearStoredConsent() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+        document.cookie = `${COOKIE_NAME}=; max-age=0; path=/; SameSite=Lax`;
+    } catch (e) {
+        console.warn('Failed to clear consent preferences:', e);
+    }
+}
+
+// Load consent from storage; a record for an older policy version or past its
+// expiry no longer counts, so the banner asks again
+function loadConsent() {
+    try {
+        const stored = readStoredRecord();
         
-        // Check if banner should be shown
-        if (shouldShowBanner()) {
-            showBanner();
+        if (stored && (!stored.consentId || stored.policyVersion !== policyVersion)) {
+            console.log('Privacy policy changed since consent was given, asking again');
+        } else if (stored && !(Date.parse(stored.expiresAt) > Date.now())) {
+            console.log('Consent expired, asking again');
+            clearStoredConsent();
+        } else if (stored) {
+            // A signal sent after consent was given still takes precedence
+            currentConsent = applyPrivacySignal({
+                necessary: true,
+                analytics: stored.analytics === true,
+                marketing: stored.marketing === true,
+                vendors: readVendorChoices(stored.vendors)
+            });
+            consentRecord = { ...stored, ...currentConsent, privacySignal: { ...privacySignal } };
         }
-        
-        // Add event listeners
-        addEventListeners();
-        
-        // Process gated scripts
-        processGatedScripts();
+    } catch (e) {
+        console.warn('Failed to load consent preferences:', e);
     }
     
-    // Load consent from storage
-    function loadConsent() {
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) {
-                currentConsent = { ...currentConsent, ...JSON.parse(stored) };
+    // Update UI to reflect current consent
+    updateConsentUI();
+}
+
+// Keep the per-vendor choices of known vendors; records from before vendor
+// consent have none, which leaves every vendor to its category
+function readVendorChoices(choices) {
+    const vendors = {};
+    
+    if (choices && typeof choices === 'object') {
+        Vendors.VENDORS.forEach(vendor => {
+            if (typeof choices[vendor.id] === 'boolean') {
+                vendors[vendor.id] = choices[vendor.id];
             }
-        } catch (e) {
-            console.warn('Failed to load consent preferences:', e);
+        });
+    }
+    
+    return vendors;
+}
+
+// The same choice for every vendor
+function allVendors(allowed) {
+    const vendors = {};
+    
+    Vendors.VENDORS.forEach(vendor => {
+        if (vendor.category !== CONSENT_CATEGORIES.NECESSARY) {
+            vendors[vendor.id] = allowed;
         }
-        
-        // Update UI to reflect current consent
-        updateConsentUI();
+    });
+    
+    return vendors;
+}
+
+// Create a consent record ID
+function createConsentId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
     }
     
-    // Save consent to storage
-    function saveConsent(consent) {
-        currentConsent = { ...currentConsent, ...consent };
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+// Save consent to storage as a new record of what was agreed, when and how.
+// A rejection is kept for its own, usually shorter, lifetime.
+function saveConsent(consent, method) {
+    const previous = consentState();
+    
+    currentConsent = applyPrivacySignal({ ...currentConsent, ...consent, necessary: true });
+    
+    const now = new Date();
+    const status = currentConsent.analytics || currentConsent.marketing ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.REJECTED;
+    const expiresAt = new Date(now.getTime());
+    expiresAt.setMonth(expiresAt.getMonth() + (status === CONSENT_STATUS.REJECTED ? rejectLifetimeMonths : lifetimeMonths));
+    
+    consentRecord = {
+        consentId: createConsentId(),
+        timestamp: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        policyVersion: policyVersion,
+        bannerVersion: bannerVersion,
+        method: method || CONSENT_METHODS.CUSTOM,
+        status: status,
+        ...currentConsent,
+        privacySignal: { ...privacySignal }
+    };
+    
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(consentRecord));
         
+        // Also set cookie for server-side access; it expires with the record
+        const cookieValue = encodeURIComponent(JSON.stringify(consentRecord));
+        const maxAge = Math.round((expiresAt.getTime() - now.getTime()) / 1000);
+        document.cookie = `${COOKIE_NAME}=${cookieValue}; max-age=${maxAge}; path=/; SameSite=Lax`;
+    } catch (e) {
+        console.warn('Failed to save consent preferences:', e);
+    }
+    
+    logConsent(consentRecord);
+    updateConsentMode();
+    notifyTcfListeners();
+    notifyChange(previous, method || CONSENT_METHODS.CUSTOM);
+}
+
+// Categories and status as seen by change listeners
+function consentState() {
+    return {
+        necessary: true,
+        analytics: currentConsent.analytics === true,
+        marketing: currentConsent.marketing === true,
+        vendors: Vendors.VENDORS.reduce((vendors, vendor) => ({ ...vendors, [vendor.id]: isAllowed(vendor.id) }), {}),
+        status: consentRecord ? consentRecord.status : CONSENT_STATUS.UNANSWERED
+    };
+}
+
+// Tell onChange subscribers and acta:consentchange listeners what changed
+function notifyChange(previous, method) {
+    const current = consentState();
+    const detail = {
+        previous: previous,
+        current: current,
+        changed: Object.values(CONSENT_CATEGORIES).filter(category => previous[category] !== current[category]),
+        method: method,
+        record: { ...consentRecord }
+    };
+    
+    changeListeners.forEach(callback => {
+        // A failing subscriber must not stop the others
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(currentConsent));
-            
-            // Also set cookie for server-side access
-            const cookieValue = encodeURIComponent(JSON.stringify(currentConsent));
-            document.cookie = `${COOKIE_NAME}=${cookieValue}; max-age=${COOKIE_MAX_AGE}; path=/; SameSite=Lax`;
+            callback(detail);
         } catch (e) {
-            console.warn('Failed to save consent preferences:', e);
+            console.error('Consent change listener failed:', e);
         }
+    });
+    
+    document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { bubbles: true, detail: detail }));
+    events.emit('consent:change', detail);
+}
+
+// Subscribe to consent changes; returns a function that unsubscribes
+function onChange(callback) {
+    if (typeof callback !== 'function') {
+        throw new TypeError('ACTAConsent.onChange expects a function');
     }
     
-    // Check if banner should be shown
-    function shouldShowBanner() {
-        // Don't show if consent already given
-        if (currentConsent.analytics || currentConsent.marketing) {
-            return false;
+    changeListeners.push(callback);
+    
+    return () => {
+        changeListeners = changeListeners.filter(listener => listener !== callback);
+    };
+}
+
+// Send the record to the consent log when the page configures an endpoint
+function logConsent(record) {
+    if (!logEndpoint) return;
+    
+    const body = JSON.stringify(record);
+    
+    try {
+        // A beacon survives the reload or navigation that often follows a choice
+        if (navigator.sendBeacon && navigator.sendBeacon(logEndpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
         }
         
-        // Check if there are any gated scripts
-        const gatedScripts = document.querySelectorAll('script[type="text/plain"][data-cookie-category]');
-        return gatedScripts.length > 0;
+        fetch(logEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            keepalive: true
+        }).catch(error => console.warn('Failed to log consent:', error));
+    } catch (e) {
+        console.warn('Failed to log consent:', e);
     }
+}
+
+// Push a command to the Google tag data layer, as the gtag() snippet does
+function gtag() {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push(arguments);
+}
+
+// Consent Mode state for the current consent
+function consentModeState() {
+    const state = {};
     
-    // Show consent banner
-    function showBanner() {
-        if (!cookieBanner) return;
-        
-        cookieBanner.classList.remove('hidden');
-        
-        // Animate in if not reduced motion
-        if (!prefersReducedMotion) {
-            requestAnimationFrame(() => {
-                cookieBanner.style.transform = 'translateY(0)';
-            });
-        }
+    Object.keys(CONSENT_MODE_SIGNALS).forEach(signal => {
+        state[signal] = isAllowed(CONSENT_MODE_SIGNALS[signal]) ? 'granted' : 'denied';
+    });
+    
+    return state;
+}
+
+// Everything denied until the visitor chooses
+function initConsentMode() {
+    gtag('consent', 'default', {
+        ...consentModeState(),
+        wait_for_update: CONSENT_CONFIG.consentModeWaitMs
+    });
+}
+
+// Send the current choice to Google tags
+function updateConsentMode() {
+    gtag('consent', 'update', consentModeState());
+}
+
+// Expose a minimal __tcfapi for vendor tags that expect an IAB TCF CMP
+// (data-tcf-stub="true"). It reports purpose consents from our categories but
+// has no TC string, since this site is not a registered CMP.
+function initTcfStub() {
+    if (!tcfStub || typeof window.__tcfapi === 'function') {
+        return;
     }
     
-    // Hide consent banner
-    function hideBanner() {
-        if (!cookieBanner) return;
-        
-        if (prefersReducedMotion) {
-            cookieBanner.classList.add('hidden');
-        } else {
-            cookieBanner.style.transform = 'translateY(100%)';
-            setTimeout(() => {
-                cookieBanner.classList.add('hidden');
-            }, 300);
+    window.__tcfapi = handleTcfCommand;
+}
+
+// TCData object for the current consent
+function tcfData(eventStatus, listenerId) {
+    const purposeConsents = {
+        1: isAllowed(CONSENT_CATEGORIES.ANALYTICS) || isAllowed(CONSENT_CATEGORIES.MARKETING)
+    };
+    
+    Object.keys(TCF_PURPOSES).forEach(category => {
+        TCF_PURPOSES[category].forEach(purpose => {
+            purposeConsents[purpose] = isAllowed(category);
+        });
+    });
+    
+    return {
+        tcString: '',
+        tcfPolicyVersion: 4,
+        cmpId: 0,
+        cmpVersion: 1,
+        gdprApplies: true,
+        eventStatus: eventStatus,
+        cmpStatus: 'loaded',
+        listenerId: listenerId,
+        isServiceSpecific: true,
+        useNonStandardTexts: false,
+        purposeOneTreatment: false,
+        purpose: { consents: purposeConsents, legitimateInterests: {} },
+        vendor: { consents: {}, legitimateInterests: {} },
+        specialFeatureOptins: {},
+        publisher: {
+            consents: {},
+            legitimateInterests: {},
+            customPurpose: { consents: {}, legitimateInterests: {} },
+            restrictions: {}
         }
-    }
+    };
+}
+
+// Answer ping, getTCData, addEventListener and removeEventListener
+function handleTcfCommand(command, version, callback, parameter) {
+    if (typeof callback !== 'function') return;
     
-    // Show consent modal
-    function showModal() {
-        if (!cookieModal) return;
-        
-        cookieModal.classList.remove('hidden');
-        
-        // Animate in if not reduced motion
-        if (!prefersReducedMotion) {
-            requestAnimationFrame(() => {
-                cookieModal.style.opacity = '1';
+    const eventStatus = consentRecord ? 'tcloaded' : 'cmpuishown';
+    
+    switch (command) {
+        case 'ping':
+            callback({
+                gdprApplies: true,
+                cmpLoaded: true,
+                cmpStatus: 'loaded',
+                displayStatus: consentRecord ? 'hidden' : 'visible',
+                apiVersion: '2.2',
+                cmpVersion: 1,
+                cmpId: 0,
+                gvlVersion: 0,
+                tcfPolicyVersion: 4
             });
+            break;
+        case 'getTCData':
+            callback(tcfData(eventStatus), true);
+            break;
+        case 'addEventListener': {
+            const listenerId = ++tcfListenerId;
+            tcfListeners.push({ id: listenerId, callback: callback });
+            callback(tcfData(eventStatus, listenerId), true);
+            break;
         }
-        
-        // Focus first interactive element
-        const firstFocusable = cookieModal.querySelector('button, input, select, textarea');
-        if (firstFocusable) {
-            firstFocusable.focus();
+        case 'removeEventListener': {
+            const count = tcfListeners.length;
+            tcfListeners = tcfListeners.filter(listener => listener.id !== parameter);
+            callback(tcfListeners.length < count);
+            break;
         }
+        default:
+            callback(null, false);
+    }
+}
+
+// Tell TCF listeners the visitor made a choice
+function notifyTcfListeners() {
+    tcfListeners.forEach(listener => {
+        listener.callback(tcfData('useractioncomplete', listener.id), true);
+    });
+}
+
+// Check if banner should be shown
+function shouldShowBanner() {
+    // Don't show if a choice was made under the current policy
+    if (consentRecord) {
+        return false;
     }
     
-    // Hide consent modal
-    function hideModal() {
-        if (!cookieModal) return;
-        
-        if (prefersReducedMotion) {
-            cookieModal.classList.add('hidden');
-        } else {
-            cookieModal.style.opacity = '0';
-            setTimeout(() => {
-                cookieModal.classList.add('hidden');
-            }, 300);
-        }
+    // Check if there are any gated scripts or embeds
+    return document.querySelector(`${GATED_SCRIPTS}, ${GATED_EMBEDS}`) !== null;
+}
+
+// Show consent banner
+function showBanner() {
+    if (!cookieBanner) return;
+    
+    cookieBanner.classList.remove('hidden');
+    
+    // Animate in if not reduced motion
+    if (!prefersReducedMotion()) {
+        requestAnimationFrame(() => {
+            cookieBanner.style.transform = 'translateY(0)';
+        });
     }
+}
+
+// Hide consent banner
+function hideBanner() {
+    if (!cookieBanner) return;
     
-    // Update consent UI
-    function updateConsentUI() {
-        if (analyticsCheckbox) {
-            analyticsCheckbox.checked = currentConsent.analytics;
-        }
-        if (marketingCheckbox) {
-            marketingCheckbox.checked = currentConsent.marketing;
-        }
+    if (prefersReducedMotion()) {
+        cookieBanner.classList.add('hidden');
+    } else {
+        cookieBanner.style.transform = 'translateY(100%)';
+        setTimeout(() => {
+            cookieBanner.classList.add('hidden');
+        }, 300);
     }
+}
+
+// Show consent modal
+function showModal() {
+    if (!cookieModal) return;
     
-    // Process gated scripts
-    function processGatedScripts() {
-        const gatedScripts = document.querySelectorAll('script[type="text/plain"][data-cookie-category]');
-        
-        gatedScripts.forEach(script => {
-            const category = script.getAttribute('data-cookie-category');
-            
-            if (isAllowed(category)) {
-                // Convert to executable script
-                const newScript = document.createElement('script');
-                newScript.textContent = script.textContent;
-                newScript.type = 'text/javascript';
-                
-                // Copy other attributes
-                Array.from(script.attributes).forEach(attr => {
-                    if (attr.name !== 'type' && attr.name !== 'data-cookie-category') {
-                        newScript.setAttribute(attr.name, attr.value);
-                    }
-                });
-                
-                // Replace the gated script
-                script.parentNode.replaceChild(newScript, script);
-            }
+    cookieModal.classList.remove('hidden');
+    
+    // Animate in if not reduced motion
+    if (!prefersReducedMotion()) {
+        requestAnimationFrame(() => {
+            cookieModal.style.opacity = '1';
         });
     }
     
-    // Check if category is allowed
-    function isAllowed(category) {
-        if (category === CONSENT_CATEGORIES.NECESSARY) {
-            return true;
-        }
-        return currentConsent[category] === true;
+    // Trap focus in the modal, starting at its first interactive element
+    modalDialog.open();
+}
+
+// Hide consent modal; focus goes back to what opened it unless that is going away
+function hideModal({ restoreFocus = true } = {}) {
+    if (!cookieModal || !modalDialog) return;
+    
+    modalDialog.close({ restoreFocus: restoreFocus });
+    
+    if (prefersReducedMotion()) {
+        cookieModal.classList.add('hidden');
+    } else {
+        cookieModal.style.opacity = '0';
+        setTimeout(() => {
+            cookieModal.classList.add('hidden');
+        }, 300);
+    }
+}
+
+// Update consent UI
+function updateConsentUI() {
+    if (analyticsCheckbox) {
+        analyticsCheckbox.checked = currentConsent.analytics;
+        analyticsCheckbox.disabled = privacySignal.deniedCategories.includes(CONSENT_CATEGORIES.ANALYTICS);
+    }
+    if (marketingCheckbox) {
+        marketingCheckbox.checked = currentConsent.marketing;
+        marketingCheckbox.disabled = privacySignal.deniedCategories.includes(CONSENT_CATEGORIES.MARKETING);
     }
     
-    // Add event listeners
-    function addEventListeners() {
-        // Banner buttons
-        if (acceptAllBtn) {
-            acceptAllBtn.addEventListener('click', () => {
-                acceptAll();
-            });
-        }
+    cookieModal.querySelectorAll('[data-vendor-consent]').forEach(checkbox => {
+        const vendor = Vendors.getVendor(checkbox.getAttribute('data-vendor-consent'));
+        checkbox.checked = isAllowed(vendor.id);
+        checkbox.disabled = privacySignal.deniedCategories.includes(vendor.category);
+    });
+    
+    // Tell the visitor their browser signal was honoured
+    if (signalNotice) {
+        signalNotice.textContent = privacySignal.honoured
+            ? t(`consent.signal.${privacySignal.honoured}`, {
+                categories: formatList(privacySignal.deniedCategories.map(category => categoryName(category, true)))
+            })
+            : '';
+        signalNotice.classList.toggle('hidden', !privacySignal.honoured);
+    }
+}
+
+// Fill each [data-vendor-list="<category>"] in the modal with an expandable list of
+// the category's vendors; vendors outside "necessary" get their own switch
+function renderVendorLists() {
+    cookieModal.querySelectorAll('[data-vendor-list]').forEach(container => {
+        const category = container.getAttribute('data-vendor-list');
+        const vendors = Vendors.vendorsIn(category);
         
-        if (rejectBtn) {
-            rejectBtn.addEventListener('click', () => {
-                rejectNonEssential();
-            });
-        }
+        if (!vendors.length) return;
         
-        if (manageBtn) {
-            manageBtn.addEventListener('click', () => {
-                showModal();
-            });
-        }
+        const details = document.createElement('details');
+        details.className = 'mt-2 text-sm';
         
-        // Modal buttons
-        if (closeModalBtn) {
-            closeModalBtn.addEventListener('click', hideModal);
-        }
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer text-brand hover:underline';
+        summary.textContent = t('consent.vendors.show', { count: vendors.length });
         
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => {
-                savePreferences();
-            });
-        }
+        const list = document.createElement('ul');
+        list.className = 'mt-2 space-y-3';
+        
+        vendors.forEach(vendor => {
+            list.appendChild(renderVendor(vendor));
+        });
         
-        if (acceptAllModalBtn) {
-            acceptAllModalBtn.addEventListener('click', () => {
-                acceptAll();
+        details.append(summary, list);
+        container.replaceChildren(details);
+    });
+}
+
+// One vendor in a modal list
+function renderVendor(vendor) {
+    const item = document.createElement('li');
+    item.className = 'border-l-2 border-slate-200 pl-3';
+    
+    const heading = document.createElement('div');
+    heading.className = 'flex items-center justify-between gap-2';
+    
+    const name = document.createElement('span');
+    name.className = 'font-medium text-ink';
+    name.textContent = vendor.name;
+    heading.appendChild(name);
+    
+    if (vendor.category !== CONSENT_CATEGORIES.NECESSARY) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'h-4 w-4 accent-brand disabled:opacity-50 disabled:cursor-not-allowed';
+        checkbox.setAttribute('data-vendor-consent', vendor.id);
+        checkbox.setAttribute('aria-label', t('consent.vendors.allow', { name: vendor.name }));
+        heading.appendChild(checkbox);
+    }
+    
+    const purpose = document.createElement('p');
+    purpose.className = 'text-ink/70';
+    purpose.textContent = vendorPurpose(vendor);
+    
+    const cookies = document.createElement('p');
+    cookies.className = 'text-ink/70';
+    cookies.textContent = `${t('consent.vendors.cookies')} ${describeCookies(vendor).map(entry => `${entry.name} (${entry.retention})`).join(', ')}`;
+    
+    const link = document.createElement('a');
+    link.className = 'text-brand hover:underline';
+    link.href = vendor.privacyUrl;
+    link.textContent = t('consent.vendors.privacyLink');
+    if (/^https?:/.test(vendor.privacyUrl)) {
+        link.target = '_blank';
+        link.rel = 'noopener';
+    }
+    
+    item.append(heading, purpose, cookies, link);
+    return item;
+}
+
+// A vendor's cookies and storage keys with their retention, for display
+function describeCookies(vendor) {
+    const retention = item => t(`vendors.${vendor.id}.retention.${item.name}`, {}, item.retention);
+    
+    return vendor.cookies.map(item => ({ name: item.name, retention: retention(item) }))
+        .concat(vendor.storage.map(item => ({ name: item.name + t('consent.vendors.storageSuffix'), retention: retention(item) })));
+}
+
+// Build the cookie table on privacy.html ([data-cookie-table]) from the registry,
+// so the policy and the consent modal list the same cookies
+function renderCookieTable() {
+    const container = document.querySelector('[data-cookie-table]');
+    if (!container) return;
+    
+    const table = document.createElement('table');
+    table.className = 'w-full text-sm text-left border-collapse';
+    
+    const headRow = document.createElement('tr');
+    TABLE_HEADINGS.forEach(heading => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.className = 'py-2 pr-4 font-semibold text-navy border-b border-slate-200';
+        cell.textContent = t(heading);
+        headRow.appendChild(cell);
+    });
+    
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    
+    const body = document.createElement('tbody');
+    Vendors.VENDORS.forEach(vendor => {
+        describeCookies(vendor).forEach(entry => {
+            const row = document.createElement('tr');
+            
+            [entry.name, vendor.name, categoryName(vendor.category), vendorPurpose(vendor), entry.retention].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 pr-4 align-top text-ink/80 border-b border-slate-100';
+                if (index === 0) {
+                    const code = document.createElement('code');
+                    code.textContent = value;
+                    cell.appendChild(code);
+                } else {
+                    cell.textContent = value;
+                }
+                row.appendChild(cell);
             });
+            
+            body.appendChild(row);
+        });
+    });
+    
+    table.append(head, body);
+    container.replaceChildren(table);
+}
+
+// Process gated scripts and embeds
+function processGatedScripts() {
+    scriptQueue = scriptQueue.then(activateGatedScripts);
+    processGatedEmbeds();
+    
+    return scriptQueue;
+}
+
+// Run allowed gated scripts in document order; an external script is loaded
+// before the next one runs, unless it is marked async
+async function activateGatedScripts() {
+    const gatedScripts = Array.from(document.querySelectorAll(GATED_SCRIPTS))
+        .filter(script => isAllowed(script.getAttribute('data-cookie-category')));
+    
+    for (const script of gatedScripts) {
+        await activateScript(script);
+    }
+}
+
+// Replace a gated script with an executable copy
+function activateScript(script) {
+    const category = script.getAttribute('data-cookie-category');
+    
+    // Convert to executable script
+    const newScript = document.createElement('script');
+    newScript.textContent = script.textContent;
+    newScript.type = 'text/javascript';
+    
+    // Copy other attributes
+    Array.from(script.attributes).forEach(attr => {
+        if (attr.name !== 'type' && attr.name !== 'data-cookie-category') {
+            newScript.setAttribute(attr.name, attr.value);
         }
-        
-        // Cookie settings button
-        if (cookieSettingsButton) {
-            cookieSettingsButton.addEventListener('click', showModal);
+    });
+    
+    // Remember the category so a withdrawal can find the script again
+    newScript.setAttribute('data-cookie-loaded', category);
+    
+    const external = newScript.hasAttribute('src');
+    
+    // Injected scripts are async by default, which would break the order
+    if (external && !script.hasAttribute('async')) {
+        newScript.async = false;
+    }
+    
+    const loaded = new Promise(resolve => {
+        if (!external || script.hasAttribute('async')) {
+            resolve();
+            return;
         }
         
-        // Close modal on backdrop click
-        if (cookieModal) {
-            cookieModal.addEventListener('click', (e) => {
-                if (e.target === cookieModal) {
-                    hideModal();
-                }
-            });
+        newScript.addEventListener('load', resolve);
+        newScript.addEventListener('error', () => {
+            console.warn(`Gated ${category} script failed to load:`, newScript.src);
+            resolve();
+        });
+    });
+    
+    // Replace the gated script
+    script.parentNode.replaceChild(newScript, script);
+    
+    return loaded;
+}
+
+// Load allowed iframe and img embeds (data-src); blocked iframes get a
+// click-to-load placeholder
+function processGatedEmbeds() {
+    const gatedEmbeds = document.querySelectorAll(GATED_EMBEDS);
+    
+    gatedEmbeds.forEach(embed => {
+        const category = embed.getAttribute('data-cookie-category');
+        
+        if (isAllowed(category)) {
+            loadEmbed(embed);
+        } else if (embed.tagName === 'IFRAME') {
+            showPlaceholder(embed);
         }
+    });
+}
+
+// Move data-src to src and drop the embed's placeholder
+function loadEmbed(embed) {
+    const placeholder = embed.previousElementSibling;
+    
+    if (placeholder && placeholder.hasAttribute('data-cookie-placeholder')) {
+        placeholder.remove();
+    }
+    
+    embed.setAttribute('data-cookie-loaded', embed.getAttribute('data-cookie-category'));
+    embed.removeAttribute('data-cookie-category');
+    embed.setAttribute('src', embed.getAttribute('data-src'));
+    embed.removeAttribute('data-src');
+    embed.classList.remove('hidden');
+}
+
+// Put a placeholder before a blocked iframe; its button loads only this embed
+function showPlaceholder(embed) {
+    const existing = embed.previousElementSibling;
+    if (existing && existing.hasAttribute('data-cookie-placeholder')) return;
+    
+    const category = embed.getAttribute('data-cookie-category');
+    const label = embed.getAttribute('data-cookie-label') || t('consent.placeholder.label');
+    
+    const placeholder = document.createElement('div');
+    placeholder.setAttribute('data-cookie-placeholder', category);
+    placeholder.className = 'flex flex-col items-center justify-center gap-3 p-6 text-center bg-slate-100 border border-slate-200 rounded text-sm text-ink';
+    placeholder.style.minHeight = `${embed.getAttribute('height') || 200}px`;
+    
+    const loadButton = document.createElement('button');
+    loadButton.type = 'button';
+    loadButton.className = 'bg-brand text-white px-4 py-2 rounded text-sm font-medium hover:bg-brand/90 transition-colors';
+    loadButton.textContent = t('consent.placeholder.load', { label: label, category: categoryName(category, true) });
+    loadButton.addEventListener('click', () => {
+        loadEmbed(embed);
+        embed.focus();
+    });
+    
+    const settingsButton = document.createElement('button');
+    settingsButton.type = 'button';
+    settingsButton.className = 'text-brand underline hover:no-underline';
+    settingsButton.textContent = t('consent.settings');
+    settingsButton.addEventListener('click', showModal);
+    
+    placeholder.append(loadButton, settingsButton);
+    embed.classList.add('hidden');
+    embed.parentNode.insertBefore(placeholder, embed);
+}
+
+// Check if a category, or a vendor id from the registry, is allowed. A vendor needs
+// its category and must not have been turned off on its own.
+function isAllowed(category) {
+    if (category === CONSENT_CATEGORIES.NECESSARY) {
+        return true;
+    }
+    
+    const vendor = Vendors.getVendor(category);
+    if (vendor) {
+        return isAllowed(vendor.category) && currentConsent.vendors[vendor.id] !== false;
+    }
+    
+    return currentConsent[category] === true;
+}
+
+// Add event listeners
+function addEventListeners() {
+    // Banner buttons
+    if (acceptAllBtn) {
+        acceptAllBtn.addEventListener('click', () => {
+            acceptAll();
+        });
+    }
+    
+    if (rejectBtn) {
+        rejectBtn.addEventListener('click', () => {
+            rejectNonEssential();
+        });
+    }
+    
+    if (manageBtn) {
+        manageBtn.addEventListener('click', () => {
+            showModal();
+        });
+    }
+    
+    // Modal buttons
+    if (closeModalBtn) {
+        closeModalBtn.addEventListener('click', () => {
+            hideModal();
+        });
+    }
+    
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            savePreferences();
+        });
+    }
+    
+    if (acceptAllModalBtn) {
+        acceptAllModalBtn.addEventListener('click', () => {
+            acceptAll();
+        });
+    }
+    
+    // Keep category switches and their vendor switches in step
+    [analyticsCheckbox, marketingCheckbox].forEach(checkbox => {
+        if (!checkbox) return;
         
-        // Handle escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && !cookieModal.classList.contains('hidden')) {
-                hideModal();
+        checkbox.addEventListener('change', () => {
+            vendorCheckboxes(categoryOf(checkbox)).forEach(vendorCheckbox => {
+                vendorCheckbox.checked = checkbox.checked;
+            });
+        });
+    });
+    
+    // Vendor switches are rebuilt when the language changes, so listen on the modal
+    if (cookieModal) {
+        cookieModal.addEventListener('change', (e) => {
+            const vendor = e.target.matches('[data-vendor-consent]') && Vendors.getVendor(e.target.getAttribute('data-vendor-consent'));
+            const checkbox = vendor && [analyticsCheckbox, marketingCheckbox].find(item => item && categoryOf(item) === vendor.category);
+            
+            if (checkbox) {
+                checkbox.checked = vendorCheckboxes(vendor.category).some(item => item.checked);
             }
         });
     }
     
-    // Accept all cookies
-    function acceptAll() {
-        const consent = {
-            necessary: true,
-            analytics: true,
-            marketing: true
-        };
-        
-        saveConsent(consent);
-        hideBanner();
-        hideModal();
-        processGatedScripts();
-    }
-    
-    // Reject non-essential cookies
-    function rejectNonEssential() {
-        const consent = {
-            necessary: true,
-            analytics: false,
-            marketing: false
-        };
-        
-        saveConsent(consent);
-        hideBanner();
-        hideModal();
-        processGatedScripts();
-    }
-    
-    // Save preferences from modal
-    function savePreferences() {
-        const consent = {
-            necessary: true,
-            analytics: analyticsCheckbox ? analyticsCheckbox.checked : false,
-            marketing: marketingCheckbox ? marketingCheckbox.checked : false
-        };
-        
-        saveConsent(consent);
-        hideBanner();
-        hideModal();
-        processGatedScripts();
+    // Cookie settings button, and any other [data-cookie-settings] link on the page
+    if (cookieSettingsButton) {
+        cookieSettingsButton.addEventListener('click', showModal);
     }
+    document.querySelectorAll('[data-cookie-settings]').forEach(button => {
+        button.addEventListener('click', showModal);
+    });
     
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    // Close modal on backdrop click (Escape is handled by the dialog)
+    if (cookieModal) {
+        cookieModal.addEventListener('click', (e) => {
+            if (e.target === cookieModal) {
+                hideModal();
+            }
+        });
     }
+}
+
+// The category a category switch stands for
+function categoryOf(checkbox) {
+    return checkbox === analyticsCheckbox ? CONSENT_CATEGORIES.ANALYTICS : CONSENT_CATEGORIES.MARKETING;
+}
+
+// The vendor switches of a category in the modal
+function vendorCheckboxes(category) {
+    return Vendors.vendorsIn(category)
+        .map(vendor => cookieModal.querySelector(`[data-vendor-consent="${vendor.id}"]`))
+        .filter(Boolean);
+}
+
+// Accept all cookies
+function acceptAll() {
+    const consent = {
+        necessary: true,
+        analytics: true,
+        marketing: true,
+        vendors: allVendors(true)
+    };
+    
+    applyConsent(consent, CONSENT_METHODS.ACCEPT_ALL);
+}
+
+// Reject non-essential cookies
+function rejectNonEssential() {
+    const consent = {
+        necessary: true,
+        analytics: false,
+        marketing: false,
+        vendors: allVendors(false)
+    };
     
-    // Global API
-    window.ACTAConsent = {
-        isAllowed: isAllowed,
-        update: saveConsent,
-        getConsent: () => ({ ...currentConsent }),
-        showBanner: showBanner,
-        showModal: showModal
+    applyConsent(consent, CONSENT_METHODS.REJECT);
+}
+
+// Save preferences from modal
+function savePreferences() {
+    const consent = {
+        necessary: true,
+        analytics: analyticsCheckbox ? analyticsCheckbox.checked : false,
+        marketing: marketingCheckbox ? marketingCheckbox.checked : false,
+        vendors: { ...currentConsent.vendors }
     };
     
-})();
+    cookieModal.querySelectorAll('[data-vendor-consent]').forEach(checkbox => {
+        consent.vendors[checkbox.getAttribute('data-vendor-consent')] = checkbox.checked;
+    });
+    
+    applyConsent(consent, CONSENT_METHODS.CUSTOM);
+}
+
+// Save a choice, close the consent UI and run what it now allows. Categories and
+// vendors the choice withdraws lose their cookies and storage, and their running
+// scripts are reloaded away or torn down.
+function applyConsent(consent, method) {
+    const previous = consentKeys().filter(isAllowed);
+    // ACTAConsent.update() also works on pages without the banner markup
+    const bannerOpen = Boolean(cookieBanner) && !cookieBanner.classList.contains('hidden');
+    
+    saveConsent(consent, method);
+    hideBanner();
+    
+    // A banner button that opened the modal is about to disappear
+    hideModal({ restoreFocus: !bannerOpen });
+    
+    const withdrawn = previous.filter(key => !isAllowed(key));
+    
+    if (withdrawn.length) {
+        withdrawConsent(withdrawn);
+    }
+    
+    processGatedScripts();
+}
+
+// Every category and vendor id that data-cookie-category can name
+function consentKeys() {
+    return Object.values(CONSENT_CATEGORIES).concat(Vendors.VENDORS.map(vendor => vendor.id));
+}
+
+// Remove what withdrawn categories and vendors left behind
+function withdrawConsent(keys) {
+    const loaded = keys.filter(key => document.querySelector(`[data-cookie-loaded="${key}"]`));
+    
+    keys.forEach(clearStorageFor);
+    
+    if (!loaded.length) return;
+    
+    // Running code cannot be unloaded, so by default a fresh page load drops it
+    if (withdrawAction === WITHDRAW_ACTIONS.RELOAD) {
+        window.location.reload();
+        return;
+    }
+    
+    loaded.forEach(teardownCategory);
+    
+    // Scripts may have written cookies again while shutting down
+    loaded.forEach(clearStorageFor);
+}
+
+// Cookie and storage patterns for a category or vendor: the registry entries of its
+// vendors plus those declared on its scripts
+function registryFor(key) {
+    const vendor = Vendors.getVendor(key);
+    const vendors = vendor ? [vendor] : Vendors.vendorsIn(key);
+    const cookies = [];
+    const storage = [];
+    
+    vendors.forEach(entry => {
+        cookies.push(...entry.cookies.map(item => item.name));
+        storage.push(...entry.storage.map(item => item.name));
+    });
+    
+    document.querySelectorAll(`script[data-cookie-category="${key}"], script[data-cookie-loaded="${key}"]`).forEach(script => {
+        cookies.push(...(script.getAttribute('data-cookies') || '').split(/\s+/).filter(Boolean));
+        storage.push(...(script.getAttribute('data-storage-keys') || '').split(/\s+/).filter(Boolean));
+    });
+    
+    return { cookies, storage };
+}
+
+// Match a name against registry patterns; a trailing * matches any suffix. The
+// consent record itself is never matched.
+function matchesAny(name, patterns) {
+    if (name === COOKIE_NAME || name === STORAGE_KEY) return false;
+    
+    return patterns.some(pattern => pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern);
+}
+
+// Delete the cookies and localStorage/sessionStorage keys of a category or vendor
+function clearStorageFor(key) {
+    const registry = registryFor(key);
+    
+    document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).forEach(name => {
+        if (name && matchesAny(name, registry.cookies)) {
+            expireCookie(name);
+        }
+    });
+    
+    [window.localStorage, window.sessionStorage].forEach(storage => {
+        try {
+            Object.keys(storage).filter(key => matchesAny(key, registry.storage)).forEach(key => {
+                storage.removeItem(key);
+            });
+        } catch (e) {
+            console.warn('Failed to clear storage for withdrawn consent:', e);
+        }
+    });
+}
+
+// Expire a cookie on this host and each parent domain it may have been set on
+function expireCookie(name) {
+    const parts = window.location.hostname.split('.');
+    
+    document.cookie = `${name}=; max-age=0; path=/`;
+    
+    for (let i = 0; i < parts.length - 1; i++) {
+        const domain = parts.slice(i).join('.');
+        document.cookie = `${name}=; max-age=0; path=/; domain=${domain}`;
+        document.cookie = `${name}=; max-age=0; path=/; domain=.${domain}`;
+    }
+}
+
+// Call each loaded script's teardown hook (data-cookie-teardown names a global
+// function) and put scripts and embeds back behind the gate, so consenting again
+// reruns them
+function teardownCategory(category) {
+    document.querySelectorAll(`iframe[data-cookie-loaded="${category}"], img[data-cookie-loaded="${category}"]`).forEach(embed => {
+        embed.setAttribute('data-src', embed.getAttribute('src'));
+        embed.removeAttribute('src');
+        embed.removeAttribute('data-cookie-loaded');
+        embed.setAttribute('data-cookie-category', category);
+    });
+    
+    document.querySelectorAll(`script[data-cookie-loaded="${category}"]`).forEach(script => {
+        const hookName = script.getAttribute('data-cookie-teardown');
+        
+        if (hookName && typeof window[hookName] === 'function') {
+            try {
+                window[hookName]();
+            } catch (e) {
+                console.error(`Teardown of ${category} script failed:`, e);
+            }
+        }
+        
+        const gated = document.createElement('script');
+        gated.textContent = script.textContent;
+        
+        Array.from(script.attributes).forEach(attr => {
+            if (attr.name !== 'type' && attr.name !== 'data-cookie-loaded') {
+                gated.setAttribute(attr.name, attr.value);
+            }
+        });
+        gated.type = 'text/plain';
+        gated.setAttribute('data-cookie-category', category);
+        
+        script.parentNode.replaceChild(gated, script);
+    });
+    
+    processGatedEmbeds();
+}
+
+// Global API
+window.ACTAConsent = {
+    isAllowed: isAllowed,
+    update: consent => applyConsent(consent, CONSENT_METHODS.CUSTOM),
+    onChange: onChange,
+    getConsent: () => ({ ...(consentRecord || currentConsent), privacySignal: { ...privacySignal } }),
+    getStatus: () => consentRecord ? consentRecord.status : CONSENT_STATUS.UNANSWERED,
+    showBanner: showBanner,
+    showModal: showModal
+};
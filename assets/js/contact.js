@@ -1,666 +1,1085 @@
 /**
  * ACTA Website Contact Form JavaScript
- * Handles form validation and Supabase submission
+ * Schema-driven form engine: validates fields and submits to the inquiry endpoint.
+ * Every form[data-form-schema] is driven by its JSON schema in assets/forms/.
  */
 
-(function() {
-    'use strict';
-    
-    // Form configuration
-    const FORM_CONFIG = {
-        minMessageLength: 20,
-        emailRegex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-        debounceDelay: 300,
-        maxSubmissionsPerHour: 3,
-        suspiciousKeywords: [
-            'viagra', 'cialis', 'casino', 'poker', 'lottery', 'winner', 'congratulations',
-            'urgent', 'act now', 'limited time', 'free money', 'click here', 'buy now',
-            'nigerian prince', 'inheritance', 'lottery winner', 'bitcoin', 'cryptocurrency'
-        ],
-        honeypotFieldName: 'website_url'
-    };
+import { debounce, readConfig } from './core.js';
+import { t, localize, getLocale, onLocaleChange } from './i18n.js';
+import * as Outbox from './outbox.js';
+
+// Classic scripts shared with the server; importing them defines
+// window.ACTAFormSchema and window.ACTASpamRules
+import './form-schema.js';
+import './spam-rules.js';
+
+// Form configuration
+const FORM_CONFIG = {
+    debounceDelay: 300,
+    defaultEndpoint: '/api/inquiries',
+    defaultUploadEndpoint: '/api/attachments',
+    requestTimeout: 15000,
+    uploadTimeout: 120000,
+    defaultEnvironment: 'production',
+    fallbackEmail: 'contact@acta-approval.com.mt',
+    honeypotFieldName: 'website_url'
+};
+
+// Message keys (assets/i18n/) for result codes returned by the inquiry endpoint (server/inquiries.js)
+const RESULT_MESSAGES = {
+    invalid: 'form.results.invalid',
+    rate_limited: 'form.results.rate_limited',
+    spam: 'form.results.spam',
+    server_error: 'form.results.server_error',
+    [Outbox.EXPIRED_CODE]: 'form.results.expired'
+};
+
+// Result codes worth retrying later from the offline outbox
+const RETRYABLE_CODES = ['server_error', 'rate_limited'];
+
+// Shared validation rules (assets/js/form-schema.js)
+const FormSchema = window.ACTAFormSchema;
+
+// Shared spam scoring, also run by the server (assets/js/spam-rules.js)
+const SpamRules = window.ACTASpamRules;
+
+// Submission endpoint and environment
+let submitEndpoint;
+let uploadEndpoint;
+let environment = FORM_CONFIG.defaultEnvironment;
+let fallbackEmail = FORM_CONFIG.fallbackEmail;
+
+// State
+const forms = {};
+let hasOutbox = false;
+
+// Initialize the schema-driven forms (form[data-acta-contact][data-form-schema])
+export function init(formElements) {
+    console.log('Initializing contact forms in browser:', navigator.userAgent);
+    console.log('Is Safari:', /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent));
     
-    // DOM elements
-    let contactForm, submitButton;
-    let formFields = {};
-    let errorElements = {};
-    let successElement, errorElement;
+    if (!FormSchema) {
+        console.warn('Form schema engine not loaded (assets/js/form-schema.js)');
+        return;
+    }
     
-    // Supabase configuration
-    let supabaseUrl, supabaseKey, supabaseClient;
+    // Resolve submission endpoint and environment
+    initEndpoint();
     
-    // State
-    let isSubmitting = false;
-    let validationTimeout;
-    let submissionHistory = JSON.parse(localStorage.getItem('acta_submission_history') || '[]');
+    const loading = formElements.map(element => {
+        return loadSchema(element.getAttribute('data-form-schema'))
+            .then(schema => initForm(element, schema))
+            .catch(error => console.error('Failed to initialise form:', element.id, error));
+    });
     
-    // Initialize contact form
-    function init() {
-        console.log('Initializing contact form in browser:', navigator.userAgent);
-        console.log('Is Safari:', /Safari/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent));
-        console.log('Supabase library available:', typeof supabase !== 'undefined');
-        
-        // Get form elements
-        contactForm = document.getElementById('contact-form');
-        submitButton = contactForm?.querySelector('button[type="submit"]');
+    // Send anything queued while offline once every form can report results
+    Promise.all(loading).then(initOutbox);
+    
+    onLocaleChange(refreshMessages);
+}
+
+// Fetch a form schema
+async function loadSchema(url) {
+    const response = await fetch(url, { credentials: 'same-origin' });
+    
+    if (!response.ok) {
+        throw new Error(`Schema ${url} returned ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Bind a form element to its schema
+function initForm(element, schema) {
+    const submitButton = element.querySelector('button[type="submit"]');
+    
+    if (!submitButton) {
+        console.warn('Submit button not found for form', schema.id);
+        return;
+    }
+    
+    const form = {
+        element: element,
+        schema: schema,
+        submitButton: submitButton,
+        submitLabel: submitButton.textContent.trim(),
+        submitKey: submitButton.getAttribute('data-i18n'),
+        fields: {},
+        errorElements: {},
+        honeypot: element.querySelector(`[name="${FORM_CONFIG.honeypotFieldName}"]`),
+        successElement: element.querySelector('[data-form-status="success"]'),
+        errorElement: element.querySelector('[data-form-status="error"]'),
+        queuedElement: element.querySelector('[data-form-status="queued"]'),
+        errorActions: element.querySelector('[data-form-error-actions]'),
+        retryButton: element.querySelector('[data-form-action="retry"]'),
+        mailtoLink: element.querySelector('[data-form-action="mailto"]'),
+        attachments: null,
+        defaultErrorMessage: '',
+        defaultErrorKey: null,
+        isSubmitting: false,
+        pendingIdempotencyKey: null
+    };
+    
+    // Get fields and their error elements from the schema
+    schema.fields.forEach(field => {
+        form.fields[field.name] = document.getElementById(field.id);
+        form.errorElements[field.name] = document.getElementById(`${field.id}-error`);
         
-        if (!contactForm || !submitButton) {
-            console.warn('Contact form elements not found');
-            return;
+        if (!form.fields[field.name]) {
+            console.warn(`Field #${field.id} from schema ${schema.id} not found`);
         }
-        
-        // Set form start time for timing validation
-        contactForm.dataset.startTime = Date.now().toString();
-        console.log('Form start time set:', contactForm.dataset.startTime);
-        
-        // Get form fields
-        formFields = {
-            fullName: contactForm.querySelector('#full-name'),
-            organisation: contactForm.querySelector('#organisation'),
-            email: contactForm.querySelector('#email'),
-            phone: contactForm.querySelector('#phone'),
-            message: contactForm.querySelector('#message'),
-            consent: contactForm.querySelector('#consent'),
-            honeypot: contactForm.querySelector('#website_url')
-        };
-        
-        // Get error elements
-        errorElements = {
-            fullName: document.getElementById('full-name-error'),
-            email: document.getElementById('email-error'),
-            message: document.getElementById('message-error'),
-            consent: document.getElementById('consent-error')
+    });
+    
+    // Optional file input from the schema's "attachments" section
+    const attachmentInput = schema.attachments && document.getElementById(schema.attachments.id);
+    if (attachmentInput) {
+        form.attachments = {
+            config: schema.attachments,
+            input: attachmentInput,
+            errorElement: document.getElementById(`${schema.attachments.id}-error`),
+            listElement: element.querySelector('[data-form-attachments]'),
+            progress: new Map(),
+            uploads: new Map()
         };
-        
-        // Get success/error elements
-        successElement = document.getElementById('form-success');
-        errorElement = document.getElementById('form-error');
-        
-        // Initialize Supabase
-        initSupabase();
-        
-        // Add event listeners
-        addEventListeners();
     }
     
-    // Initialize Supabase client
-    function initSupabase() {
-        const supabaseScript = document.getElementById('supabase');
-        
-        if (!supabaseScript) {
-            console.warn('Supabase configuration not found');
-            return;
+    // Country selects for phone numbers ("options": "countries")
+    schema.fields.filter(field => field.options === 'countries' && form.fields[field.name]).forEach(field => {
+        initCountryOptions(form.fields[field.name]);
+    });
+    
+    const errorText = form.errorElement?.querySelector('span');
+    form.defaultErrorMessage = errorText ? errorText.textContent : '';
+    form.defaultErrorKey = errorText ? errorText.getAttribute('data-i18n') : null;
+    
+    // Set form start time for timing validation
+    element.dataset.startTime = Date.now().toString();
+    
+    forms[schema.id] = form;
+    
+    // Add event listeners
+    addEventListeners(form);
+    
+    console.log(`Form "${schema.id}" initialised with ${schema.fields.length} fields`);
+}
+
+// Fill a country select and preselect the visitor's country when their language tags name one
+function initCountryOptions(select) {
+    renderCountryOptions(select);
+    
+    const country = guessCountry();
+    const option = country && select.querySelector(`option[value="${country}"]`);
+    if (option && !select.value) {
+        option.defaultSelected = true;
+        select.value = country;
+    }
+}
+
+// List the countries the schema engine knows calling codes for, named in the current
+// language and sorted by name. The empty option ("International") stays first.
+function renderCountryOptions(select) {
+    const selected = select.value;
+    const defaultValue = Array.from(select.options).find(option => option.defaultSelected)?.value;
+    const locale = getLocale();
+    const names = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([locale], { type: 'region' }) : null;
+    
+    const countries = Object.keys(FormSchema.CALLING_CODES).map(country => ({
+        value: country,
+        label: `${names ? names.of(country) : country} (+${FormSchema.CALLING_CODES[country].code})`
+    })).sort((a, b) => a.label.localeCompare(b.label, locale));
+    
+    Array.from(select.options).filter(option => option.value).forEach(option => option.remove());
+    
+    countries.forEach(country => {
+        const option = document.createElement('option');
+        option.value = country.value;
+        option.textContent = country.label;
+        option.defaultSelected = country.value === defaultValue;
+        select.appendChild(option);
+    });
+    
+    select.value = selected;
+}
+
+// Region subtag of the visitor's first language tag that names a known country ("de-AT" -> "AT")
+function guessCountry() {
+    const tags = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    
+    for (const tag of tags) {
+        const region = String(tag || '').split('-').slice(1).find(part => /^[A-Za-z]{2}$/.test(part));
+        if (region && FormSchema.CALLING_CODES[region.toUpperCase()]) {
+            return region.toUpperCase();
         }
+    }
+    
+    return '';
+}
+
+// Follow a locale change: messages shown with localize() update themselves; country
+// names, the email fallback link and the upload progress labels are rebuilt here
+function refreshMessages() {
+    Object.values(forms).forEach(form => {
+        form.schema.fields.filter(field => field.options === 'countries' && form.fields[field.name]).forEach(field => {
+            renderCountryOptions(form.fields[field.name]);
+        });
         
-        supabaseUrl = supabaseScript.getAttribute('data-supabase-url');
-        supabaseKey = supabaseScript.getAttribute('data-supabase-key');
-        
-        if (!supabaseUrl || !supabaseKey || supabaseUrl === 'YOUR_SUPABASE_URL' || supabaseKey === 'YOUR_SUPABASE_ANON_KEY') {
-            console.warn('Supabase configuration incomplete. Please set SUPABASE_URL and SUPABASE_KEY.');
-            return;
+        if (form.mailtoLink && !form.mailtoLink.classList.contains('hidden')) {
+            form.mailtoLink.href = buildMailtoLink(form);
         }
         
-        // Initialize Supabase client with Safari compatibility
-        const initClient = () => {
-            if (typeof supabase !== 'undefined') {
-                try {
-                    supabaseClient = supabase.createClient(supabaseUrl, supabaseKey);
-                    console.log('Supabase client initialized successfully');
-                    
-                    // Test connection
-                    testSupabaseConnection();
-                } catch (error) {
-                    console.error('Error creating Supabase client:', error);
-                }
-            } else {
-                console.warn('Supabase library not loaded, retrying...');
-                // Retry after a short delay for Safari
-                setTimeout(initClient, 500);
-            }
-        };
-        
-        // Try immediately, then retry if needed
-        initClient();
+        if (form.attachments) {
+            form.attachments.progress.forEach((bar, file) => {
+                bar.setAttribute('aria-label', t('form.uploadProgress', { name: file.name }));
+            });
+        }
+    });
+}
+
+// Start the offline outbox (assets/js/outbox.js) if IndexedDB is supported
+function initOutbox() {
+    hasOutbox = Outbox.start({
+        send: sendQueuedInquiry,
+        onChange: records => {
+            Object.values(forms).forEach(form => {
+                showQueued(form, records.some(record => record.payload.form === form.schema.id));
+            });
+        },
+        onSettled: handleQueuedResult
+    });
+}
+
+// Send a queued inquiry; rejecting leaves it in the outbox for a later retry
+async function sendQueuedInquiry(payload) {
+    const result = await postInquiry(payload);
+    
+    if (!result.ok && RETRYABLE_CODES.includes(result.code)) {
+        throw new Error(`Endpoint returned ${result.code}`);
     }
     
-    // Test Supabase connection
-    async function testSupabaseConnection() {
-        if (!supabaseClient) return;
-        
-        try {
-            // Test with a simple query
-            const { data, error } = await supabaseClient.from('inquiries').select('count').limit(1);
-            if (error) {
-                console.warn('Supabase connection test failed:', error.message);
-            } else {
-                console.log('Supabase connection test successful');
-            }
-        } catch (error) {
-            console.warn('Supabase connection test error:', error);
-        }
+    return result;
+}
+
+// Report the outcome of a queued inquiry that was sent later
+function handleQueuedResult(record, result) {
+    const form = forms[record.payload.form];
+    if (!form) return;
+    
+    if (result.ok) {
+        showSuccess(form, result);
+        return;
     }
     
-    // Add event listeners
-    function addEventListeners() {
-        // Form submission
-        contactForm.addEventListener('submit', handleSubmit);
-        
-        // Real-time validation
-        Object.values(formFields).forEach(field => {
-            if (field) {
-                field.addEventListener('blur', () => validateField(field));
-                field.addEventListener('input', debounce(() => validateField(field), FORM_CONFIG.debounceDelay));
-            }
-        });
+    // Rejected for good: give the user their message back so nothing is lost
+    restoreFormData(form, record.payload);
+    showResultError(form, result);
+}
+
+// Queue an inquiry in the outbox
+async function queueInquiry(form, formData) {
+    try {
+        await Outbox.enqueue(formData.idempotency_key, formData);
+    } catch (e) {
+        console.warn('Failed to queue inquiry:', e);
+        return false;
     }
     
-    // Debounce function
-    function debounce(func, wait) {
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(validationTimeout);
-                func(...args);
-            };
-            clearTimeout(validationTimeout);
-            validationTimeout = setTimeout(later, wait);
-        };
+    form.pendingIdempotencyKey = null;
+    showQueued(form, true);
+    resetFormSafely(form);
+    return true;
+}
+
+// Generate a client idempotency key so retries never create duplicate rows
+function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
     }
     
-    // Handle form submission
-    async function handleSubmit(e) {
-        e.preventDefault();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+// Read the submission endpoint and environment from the page configuration
+function initEndpoint() {
+    const settings = readConfig(document.getElementById('supabase'), {
+        submitEndpoint: FORM_CONFIG.defaultEndpoint,
+        uploadEndpoint: FORM_CONFIG.defaultUploadEndpoint,
+        environment: FORM_CONFIG.defaultEnvironment,
+        fallbackEmail: FORM_CONFIG.fallbackEmail
+    });
+    
+    submitEndpoint = settings.submitEndpoint;
+    uploadEndpoint = settings.uploadEndpoint;
+    environment = settings.environment;
+    fallbackEmail = settings.fallbackEmail;
+    
+    console.log('Inquiry endpoint:', submitEndpoint, `(${environment})`);
+}
+
+// Development mode may simulate success; production never does
+function isDevelopment() {
+    return environment === 'development';
+}
+
+// Check whether an error means the endpoint could not be reached
+function isNetworkError(error) {
+    return error.message.includes('Failed to fetch') ||
+        error.message.includes('NetworkError') ||
+        error.message.includes('Load failed');
+}
+
+// Post the inquiry to the submission endpoint and return its parsed result
+async function postInquiry(formData) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), FORM_CONFIG.requestTimeout) : null;
+    
+    try {
+        const response = await fetch(submitEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(formData),
+            signal: controller ? controller.signal : undefined
+        });
         
-        console.log('Form submission started in browser:', navigator.userAgent);
+        let result;
+        try {
+            result = await response.json();
+        } catch (e) {
+            result = null;
+        }
         
-        if (isSubmitting) {
-            console.log('Form already submitting, ignoring');
-            return;
+        if (!result || typeof result.code !== 'string') {
+            result = { ok: response.ok, code: response.ok ? 'accepted' : 'server_error' };
         }
         
-        // Anti-spam checks
-        if (!passAntiSpamChecks()) {
-            console.log('Anti-spam checks failed');
-            return;
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Request timeout');
+        }
+        throw error;
+    } finally {
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+// Upload a file with progress; resolves with the endpoint result
+function uploadFile(form, file) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const separator = uploadEndpoint.includes('?') ? '&' : '?';
+        
+        xhr.open('POST', `${uploadEndpoint}${separator}form=${encodeURIComponent(form.schema.id)}`);
+        xhr.timeout = FORM_CONFIG.uploadTimeout;
+        xhr.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+        if (file.type) {
+            xhr.setRequestHeader('Content-Type', file.type);
         }
         
-        // Validate all fields
-        const isValid = validateAllFields();
+        xhr.upload.addEventListener('progress', e => {
+            if (e.lengthComputable) {
+                setUploadProgress(form, file, Math.round(e.loaded / e.total * 100));
+            }
+        });
         
-        if (!isValid) {
-            console.log('Form validation failed');
-            // Focus first invalid field
-            const firstInvalidField = contactForm.querySelector('[aria-invalid="true"]');
-            if (firstInvalidField) {
-                firstInvalidField.focus();
+        xhr.addEventListener('load', () => {
+            let result;
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (e) {
+                result = null;
             }
-            return;
-        }
+            
+            if (!result || typeof result.code !== 'string') {
+                result = { ok: false, code: 'server_error' };
+            }
+            
+            resolve(result);
+        });
         
-        console.log('Form validation passed, starting submission');
+        xhr.addEventListener('error', () => reject(new Error('NetworkError while uploading attachment')));
+        xhr.addEventListener('timeout', () => reject(new Error('Request timeout')));
         
-        // Show loading state
-        setSubmittingState(true);
+        xhr.send(file);
+    });
+}
+
+// Upload the selected files, reusing uploads from an earlier attempt
+async function uploadAttachments(form) {
+    const ids = [];
+    const files = Array.from(form.attachments.input.files || []);
+    
+    for (const file of files) {
+        let id = form.attachments.uploads.get(file);
         
-        try {
-            // Prepare form data
-            const formData = {
-                full_name: formFields.fullName.value.trim(),
-                organisation: formFields.organisation.value.trim() || null,
-                email: formFields.email.value.trim(),
-                phone: formFields.phone.value.trim() || null,
-                message: formFields.message.value.trim(),
-                consent: formFields.consent.checked,
-                user_agent: navigator.userAgent,
-                ip: null, // Will be set by Supabase or edge function
-                honeypot_filled: formFields.honeypot ? formFields.honeypot.value.trim() !== '' : false,
-                form_time_spent: Date.now() - parseInt(contactForm.dataset.startTime || Date.now()),
-                submission_timestamp: new Date().toISOString(),
-                spam_score: calculateSpamScore()
-            };
+        if (!id) {
+            const result = await uploadFile(form, file);
+            if (!result.ok) return result;
             
-            console.log('Form data prepared:', formData);
-            console.log('Supabase client available:', !!supabaseClient);
-            
-            // Submit to Supabase
-            if (supabaseClient) {
-                console.log('Attempting Supabase submission...');
-                
-                try {
-                    const { data, error } = await supabaseClient
-                        .from('inquiries')
-                        .insert([formData]);
-                    
-                    if (error) {
-                        console.error('Supabase error details:', {
-                            message: error.message,
-                            details: error.details,
-                            hint: error.hint,
-                            code: error.code
-                        });
-                        throw new Error(`Database error: ${error.message}`);
-                    }
-                    
-                    console.log('Form submitted successfully to Supabase:', data);
-                    
-                    // Show success message
-                    showSuccess();
-                    
-                    // Reset form with Safari compatibility
-                    resetFormSafely();
-                    
-                } catch (supabaseError) {
-                    console.error('Supabase submission error:', supabaseError);
-                    
-                    // For development: show success even if database fails
-                    if (supabaseError.message.includes('Database error') || 
-                        supabaseError.message.includes('Failed to fetch') ||
-                        supabaseError.message.includes('NetworkError') ||
-                        supabaseError.message.includes('TypeError')) {
-                        console.log('Database error detected, showing success for development');
-                        showSuccess();
-                        resetFormSafely();
-                    } else {
-                        throw supabaseError;
-                    }
-                }
-                
-            } else {
-                console.warn('Supabase client not available, using fallback');
-                // Fallback: show success message (for development)
-                console.log('Form data (Supabase not configured):', formData);
-                showSuccess();
-                resetFormSafely();
+            id = result.attachment.id;
+            form.attachments.uploads.set(file, id);
+        }
+        
+        setUploadProgress(form, file, 100);
+        ids.push(id);
+    }
+    
+    return { ok: true, ids: ids };
+}
+
+// Selected files not uploaded yet; uploads cannot be queued in the outbox
+function pendingUploads(form) {
+    if (!form.attachments) return [];
+    
+    return Array.from(form.attachments.input.files || []).filter(file => !form.attachments.uploads.has(file));
+}
+
+// Render a rejected result from the submission endpoint
+function showResultError(form, result) {
+    if (result.code === 'invalid' && result.fields) {
+        Object.keys(result.fields).forEach(name => {
+            if (form.fields[name]) {
+                validateField(form, name);
+            } else if (form.attachments && name === form.attachments.config.name) {
+                showAttachmentRejected(form, result.fields[name]);
             }
-            
-        } catch (error) {
-            console.error('Form submission error details:', {
-                message: error.message,
-                stack: error.stack,
-                name: error.name,
-                browser: navigator.userAgent
-            });
-            
-            // Enhanced error handling for different error types
-            if (error.message.includes('Database error')) {
-                console.log('Database error detected, showing success for development');
-                showSuccess();
-                resetFormSafely();
-            } else if (error.message.includes('Request timeout')) {
-                console.log('Request timeout detected');
-                showError('Request timed out. Please check your connection and try again.');
-            } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                console.log('Network error detected, showing generic error');
-                showError('Network error. Please check your connection and try again.');
-            } else if (error.message.includes('CORS')) {
-                console.log('CORS error detected');
-                showError('Connection error. Please try again or contact us directly.');
-            } else if (error.message.includes('TypeError') || error.message.includes('ReferenceError')) {
-                console.log('JavaScript error detected, likely Safari compatibility issue');
-                showError('Browser compatibility issue. Please try refreshing the page or using a different browser.');
-            } else {
-                console.log('Unknown error, showing generic error message');
-                showError();
+        });
+    }
+    
+    let messageKey = RESULT_MESSAGES[result.code] || RESULT_MESSAGES.server_error;
+    let params = {};
+    if (result.code === 'rate_limited' && result.retryAfter) {
+        messageKey = 'form.results.rateLimitedRetry';
+        params = { count: Math.ceil(result.retryAfter / 60) };
+    }
+    
+    // Nothing was saved: offer a retry for server errors and expired outbox messages, and
+    // email for anything but bad input
+    showError(form, messageKey, {
+        retry: result.code === 'server_error' || result.code === Outbox.EXPIRED_CODE,
+        mailto: result.code !== 'invalid'
+    }, params);
+}
+
+// Add event listeners
+function addEventListeners(form) {
+    // Form submission
+    form.element.addEventListener('submit', e => handleSubmit(form, e));
+    
+    // Retry a failed submission with the data still in the form
+    if (form.retryButton) {
+        form.retryButton.addEventListener('click', () => retrySubmit(form));
+    }
+    
+    // Real-time validation
+    Object.keys(form.fields).forEach(name => {
+        const field = form.fields[name];
+        if (field) {
+            const eventName = field.type === 'checkbox' || field.tagName === 'SELECT' ? 'change' : 'input';
+            field.addEventListener('blur', () => validateField(form, name));
+            field.addEventListener(eventName, debounce(() => validateField(form, name), FORM_CONFIG.debounceDelay));
+        }
+    });
+    
+    // A phone number is read with the country chosen next to it, so check it again
+    form.schema.fields.filter(field => field.countryField && form.fields[field.countryField]).forEach(field => {
+        form.fields[field.countryField].addEventListener('change', () => {
+            if (form.fields[field.name] && form.fields[field.name].value.trim()) {
+                validateField(form, field.name);
             }
-        } finally {
-            setSubmittingState(false);
-            console.log('Form submission process completed');
+        });
+    });
+    
+    // Check and list attachments as soon as they are chosen
+    if (form.attachments) {
+        form.attachments.input.addEventListener('change', () => {
+            renderAttachments(form);
+            validateAttachments(form);
+        });
+    }
+}
+
+// Read the current values of all schema fields
+function readValues(form) {
+    const payload = {};
+    
+    Object.keys(form.fields).forEach(name => {
+        const field = form.fields[name];
+        if (field) {
+            payload[name] = field.type === 'checkbox' ? field.checked : field.value;
         }
+    });
+    
+    return FormSchema.normaliseValues(form.schema, payload);
+}
+
+// Handle form submission
+async function handleSubmit(form, e) {
+    e.preventDefault();
+    
+    console.log(`Form "${form.schema.id}" submission started in browser:`, navigator.userAgent);
+    
+    if (form.isSubmitting) {
+        console.log('Form already submitting, ignoring');
+        return;
     }
     
     // Anti-spam checks
-    function passAntiSpamChecks() {
-        // 1. Honeypot check - if filled, it's likely spam
-        if (formFields.honeypot && formFields.honeypot.value.trim() !== '') {
-            console.log('Spam detected: Honeypot field filled');
-            showError('Submission blocked due to suspicious activity.');
-            return false;
-        }
-        
-        // 2. Rate limiting check
-        if (!checkRateLimit()) {
-            showError('Too many submissions. Please wait before submitting again.');
-            return false;
-        }
-        
-        // 3. Suspicious content check
-        if (containsSuspiciousContent()) {
-            console.log('Spam detected: Suspicious content');
-            showError('Your message contains content that appears to be spam.');
-            return false;
-        }
-        
-        // 4. Time-based validation (form must be visible for at least 5 seconds)
-        if (!checkFormTiming()) {
-            showError('Please take your time to fill out the form properly.');
-            return false;
-        }
-        
-        return true;
+    if (!passAntiSpamChecks(form)) {
+        console.log('Anti-spam checks failed');
+        return;
     }
     
-    // Check rate limiting
-    function checkRateLimit() {
-        const now = Date.now();
-        const oneHourAgo = now - (60 * 60 * 1000);
-        
-        // Clean old submissions
-        submissionHistory = submissionHistory.filter(timestamp => timestamp > oneHourAgo);
-        
-        // Check if under limit
-        if (submissionHistory.length >= FORM_CONFIG.maxSubmissionsPerHour) {
-            return false;
+    // Validate all fields
+    const isValid = validateAllFields(form);
+    
+    if (!isValid) {
+        console.log('Form validation failed');
+        // Focus first invalid field
+        const firstInvalidField = form.element.querySelector('[aria-invalid="true"]');
+        if (firstInvalidField) {
+            firstInvalidField.focus();
         }
-        
-        // Add current submission
-        submissionHistory.push(now);
-        localStorage.setItem('acta_submission_history', JSON.stringify(submissionHistory));
-        
-        return true;
+        return;
     }
     
-    // Check for suspicious content
-    function containsSuspiciousContent() {
-        const message = formFields.message.value.toLowerCase();
-        const fullName = formFields.fullName.value.toLowerCase();
-        const email = formFields.email.value.toLowerCase();
-        
-        const allText = `${message} ${fullName} ${email}`;
-        
-        return FORM_CONFIG.suspiciousKeywords.some(keyword => 
-            allText.includes(keyword.toLowerCase())
-        );
+    console.log('Form validation passed, starting submission');
+    
+    // Show loading state
+    setSubmittingState(form, true);
+    
+    // Reuse the key across retries of the same message
+    if (!form.pendingIdempotencyKey) {
+        form.pendingIdempotencyKey = createIdempotencyKey();
     }
     
-    // Check form timing (basic bot detection)
-    function checkFormTiming() {
-        const formStartTime = contactForm.dataset.startTime;
-        if (!formStartTime) {
-            console.log('No form start time found, setting now');
-            contactForm.dataset.startTime = Date.now().toString();
-            return false;
+    let formData;
+    
+    // The outbox only holds the message, not files: offline, a message whose files are not
+    // uploaded yet cannot be queued
+    const waitingForUploads = pendingUploads(form).length > 0;
+    
+    try {
+        if (navigator.onLine === false && waitingForUploads) {
+            showError(form, 'form.errors.offlineAttachments', { retry: true, mailto: true });
+            return;
         }
         
-        const timeSpent = Date.now() - parseInt(formStartTime);
-        console.log('Form time spent:', timeSpent, 'ms');
-        
-        // More lenient timing for Safari - reduce from 5 seconds to 2 seconds
-        const minTime = 2000; // 2 seconds
-        const isValid = timeSpent > minTime;
-        
-        if (!isValid) {
-            console.log(`Form submitted too quickly: ${timeSpent}ms < ${minTime}ms`);
+        // Upload attachments first so the inquiry can reference them
+        const attachmentFields = {};
+        if (form.attachments) {
+            const uploaded = await uploadAttachments(form);
+            
+            if (!uploaded.ok) {
+                console.warn('Attachment rejected by endpoint:', uploaded);
+                showResultError(form, uploaded);
+                return;
+            }
+            
+            attachmentFields[form.attachments.config.name] = uploaded.ids;
         }
         
-        return isValid;
-    }
-    
-    // Calculate spam score (0-100, higher = more likely spam)
-    function calculateSpamScore() {
-        let score = 0;
+        // Prepare form data from the schema (ip, spam score and honeypot are decided server-side)
+        formData = {
+            form: form.schema.id,
+            ...readValues(form),
+            ...attachmentFields,
+            website_url: form.honeypot ? form.honeypot.value.trim() : '',
+            form_time_spent: Date.now() - parseInt(form.element.dataset.startTime || Date.now()),
+            idempotency_key: form.pendingIdempotencyKey,
+            locale: getLocale()
+        };
         
-        // Check for suspicious keywords
-        const message = formFields.message.value.toLowerCase();
-        const fullName = formFields.fullName.value.toLowerCase();
-        const email = formFields.email.value.toLowerCase();
-        const allText = `${message} ${fullName} ${email}`;
+        console.log('Form data prepared:', formData);
         
-        FORM_CONFIG.suspiciousKeywords.forEach(keyword => {
-            if (allText.includes(keyword.toLowerCase())) {
-                score += 20;
-            }
-        });
+        // Queue straight away when the browser knows it is offline
+        if (navigator.onLine === false && hasOutbox && await queueInquiry(form, formData)) {
+            return;
+        }
         
-        // Check for excessive caps
-        const capsRatio = (message.match(/[A-Z]/g) || []).length / message.length;
-        if (capsRatio > 0.3) score += 15;
+        // Submit to the inquiry endpoint
+        console.log('Attempting submission to', submitEndpoint);
         
-        // Check for excessive numbers
-        const numberRatio = (message.match(/[0-9]/g) || []).length / message.length;
-        if (numberRatio > 0.2) score += 10;
+        const result = await postInquiry(formData);
         
-        // Check for excessive special characters
-        const specialCharRatio = (message.match(/[!@#$%^&*()_+=\[\]{}|;':",./<>?]/g) || []).length / message.length;
-        if (specialCharRatio > 0.1) score += 10;
+        if (!result.ok) {
+            console.warn('Inquiry rejected by endpoint:', result);
+            showResultError(form, result);
+            return;
+        }
         
-        // Check for very short or very long messages
-        if (message.length < 30) score += 10;
-        if (message.length > 1000) score += 15;
+        console.log('Form submitted successfully:', result);
         
-        // Check for repeated characters
-        if (/(.)\1{4,}/.test(message)) score += 20;
+        // Show success message with the reference number
+        showSuccess(form, result);
         
-        // Check form timing
-        const timeSpent = Date.now() - parseInt(contactForm.dataset.startTime || Date.now());
-        if (timeSpent < 3000) score += 25; // Too fast
-        if (timeSpent > 300000) score += 10; // Too slow (5+ minutes)
+        // Reset form with Safari compatibility
+        form.pendingIdempotencyKey = null;
+        resetFormSafely(form);
         
-        return Math.min(score, 100);
-    }
-    
-    // Validate all fields
-    function validateAllFields() {
-        let isValid = true;
-        
-        // Validate required fields
-        const requiredFields = [
-            { field: formFields.fullName, error: errorElements.fullName, validator: validateRequired },
-            { field: formFields.email, error: errorElements.email, validator: validateEmail },
-            { field: formFields.message, error: errorElements.message, validator: validateMessage },
-            { field: formFields.consent, error: errorElements.consent, validator: validateConsent }
-        ];
-        
-        requiredFields.forEach(({ field, error, validator }) => {
-            if (field && error) {
-                const fieldValid = validator(field);
-                if (!fieldValid) {
-                    isValid = false;
-                }
-            }
+    } catch (error) {
+        console.error('Form submission error details:', {
+            message: error.message,
+            stack: error.stack,
+            name: error.name,
+            browser: navigator.userAgent
         });
         
-        return isValid;
-    }
-    
-    // Validate individual field
-    function validateField(field) {
-        if (!field) return true;
+        const isConnectionProblem = isNetworkError(error) || error.message.includes('Request timeout');
         
-        let isValid = true;
-        let errorMessage = '';
+        // Development only: simulate success when no endpoint is running
+        if (isDevelopment() && isNetworkError(error) && navigator.onLine !== false) {
+            console.warn('Endpoint unreachable, simulating success (development mode only). Nothing was saved.');
+            showSuccess(form);
+            resetFormSafely(form);
+            return;
+        }
         
-        // Determine validation function based on field
-        if (field === formFields.fullName) {
-            isValid = validateRequired(field);
-        } else if (field === formFields.email) {
-            isValid = validateEmail(field);
-        } else if (field === formFields.message) {
-            isValid = validateMessage(field);
-        } else if (field === formFields.consent) {
-            isValid = validateConsent(field);
+        // Keep the message in the outbox and send it when the connection is back
+        if (isConnectionProblem && formData && hasOutbox && await queueInquiry(form, formData)) {
+            return;
+        }
+        
+        // The connection dropped while uploading: the message cannot be queued without its files
+        if (isConnectionProblem && !formData && waitingForUploads) {
+            showError(form, 'form.errors.offlineAttachments', { retry: true, mailto: true });
+            return;
         }
         
-        return isValid;
+        // Enhanced error handling for different error types. The form keeps
+        // the user's data so they can retry or email us instead.
+        const failureActions = { retry: true, mailto: true };
+        
+        if (error.message.includes('Request timeout')) {
+            console.log('Request timeout detected');
+            showError(form, 'form.errors.timeout', failureActions);
+        } else if (isNetworkError(error)) {
+            console.log('Network error detected, showing generic error');
+            showError(form, 'form.errors.network', failureActions);
+        } else if (error.message.includes('CORS')) {
+            console.log('CORS error detected');
+            showError(form, 'form.errors.connection', failureActions);
+        } else if (error.message.includes('TypeError') || error.message.includes('ReferenceError')) {
+            console.log('JavaScript error detected, likely Safari compatibility issue');
+            showError(form, 'form.errors.browser', { mailto: true });
+        } else {
+            console.log('Unknown error, showing generic error message');
+            showError(form, null, failureActions);
+        }
+    } finally {
+        setSubmittingState(form, false);
+        console.log('Form submission process completed');
+    }
+}
+
+// Anti-spam checks
+function passAntiSpamChecks(form) {
+    // 1. Honeypot check - if filled, it's likely spam
+    if (form.honeypot && form.honeypot.value.trim() !== '') {
+        console.log('Spam detected: Honeypot field filled');
+        showError(form, 'form.errors.blocked');
+        return false;
     }
     
-    // Validate required field
-    function validateRequired(field) {
-        const value = field.value.trim();
-        const isValid = value.length > 0;
-        
-        setFieldError(field, isValid ? '' : 'This field is required');
-        return isValid;
+    // 2. Spam score check (rate limiting is enforced by the endpoint)
+    if (isLikelySpam(form)) {
+        console.log('Spam detected: Suspicious content');
+        showError(form, 'form.results.spam');
+        return false;
     }
     
-    // Validate email field
-    function validateEmail(field) {
-        const value = field.value.trim();
-        const isValid = value.length > 0 && FORM_CONFIG.emailRegex.test(value);
-        
-        let errorMessage = '';
-        if (value.length === 0) {
-            errorMessage = 'Email is required';
-        } else if (!FORM_CONFIG.emailRegex.test(value)) {
-            errorMessage = 'Please enter a valid email address';
-        }
-        
-        setFieldError(field, errorMessage);
-        return isValid;
+    // 3. Time-based validation (form must be visible for at least 5 seconds)
+    if (!checkFormTiming(form)) {
+        showError(form, 'form.errors.tooFast');
+        return false;
     }
     
-    // Validate message field
-    function validateMessage(field) {
-        const value = field.value.trim();
-        const isValid = value.length >= FORM_CONFIG.minMessageLength;
-        
-        let errorMessage = '';
-        if (value.length === 0) {
-            errorMessage = 'Message is required';
-        } else if (value.length < FORM_CONFIG.minMessageLength) {
-            errorMessage = `Message must be at least ${FORM_CONFIG.minMessageLength} characters long`;
-        }
-        
-        setFieldError(field, errorMessage);
-        return isValid;
+    return true;
+}
+
+// Score the form with the shared spam rules; the server scores it again
+function isLikelySpam(form) {
+    if (!SpamRules) return false;
+    
+    const result = SpamRules.score({
+        ...readValues(form),
+        form_time_spent: Date.now() - parseInt(form.element.dataset.startTime || Date.now())
+    });
+    
+    if (result.reasons.length) {
+        console.log('Spam score:', result.score, result.reasons.map(item => item.reason));
     }
     
-    // Validate consent checkbox
-    function validateConsent(field) {
-        const isValid = field.checked;
-        
-        setFieldError(field, isValid ? '' : 'You must agree to the processing of your personal data');
-        return isValid;
+    return result.blocked;
+}
+
+// Check form timing (basic bot detection)
+function checkFormTiming(form) {
+    const formStartTime = form.element.dataset.startTime;
+    if (!formStartTime) {
+        console.log('No form start time found, setting now');
+        form.element.dataset.startTime = Date.now().toString();
+        return false;
     }
     
-    // Set field error
-    function setFieldError(field, errorMessage) {
-        const fieldName = field.name || field.id;
-        const errorElement = errorElements[fieldName];
-        
-        if (errorElement) {
-            if (errorMessage) {
-                errorElement.textContent = errorMessage;
-                errorElement.classList.remove('hidden');
-                field.setAttribute('aria-invalid', 'true');
-                field.setAttribute('aria-describedby', errorElement.id);
-            } else {
-                errorElement.textContent = '';
-                errorElement.classList.add('hidden');
-                field.removeAttribute('aria-invalid');
-                field.removeAttribute('aria-describedby');
-            }
-        }
+    const timeSpent = Date.now() - parseInt(formStartTime);
+    console.log('Form time spent:', timeSpent, 'ms');
+    
+    // More lenient timing for Safari - reduce from 5 seconds to 2 seconds
+    const minTime = 2000; // 2 seconds
+    const isValid = timeSpent > minTime;
+    
+    if (!isValid) {
+        console.log(`Form submitted too quickly: ${timeSpent}ms < ${minTime}ms`);
     }
     
-    // Safari-compatible form reset
-    function resetFormSafely() {
-        try {
-            // Clear all errors first
-            clearAllErrors();
-            
-            // Reset form
-            if (contactForm) {
-                contactForm.reset();
-                
-                // Safari-specific: manually clear any remaining values
-                Object.values(formFields).forEach(field => {
-                    if (field && field.type !== 'checkbox') {
-                        field.value = '';
-                    } else if (field && field.type === 'checkbox') {
-                        field.checked = false;
-                    }
-                });
-                
-                // Reset form start time for next submission
-                contactForm.dataset.startTime = Date.now().toString();
-            }
-            
-            console.log('Form reset successfully');
-        } catch (error) {
-            console.error('Error resetting form:', error);
-            // Fallback: just clear errors
-            clearAllErrors();
+    return isValid;
+}
+
+// Validate all fields
+function validateAllFields(form) {
+    let isValid = true;
+    
+    Object.keys(form.fields).forEach(name => {
+        if (!validateField(form, name)) {
+            isValid = false;
         }
+    });
+    
+    if (form.attachments && !validateAttachments(form)) {
+        isValid = false;
     }
     
-    // Clear all errors
-    function clearAllErrors() {
-        Object.values(errorElements).forEach(errorElement => {
-            if (errorElement) {
-                errorElement.textContent = '';
-                errorElement.classList.add('hidden');
-            }
-        });
-        
-        Object.values(formFields).forEach(field => {
-            if (field) {
-                field.removeAttribute('aria-invalid');
-                field.removeAttribute('aria-describedby');
-            }
-        });
+    return isValid;
+}
+
+// Validate individual field against its schema validators
+function validateField(form, name) {
+    const field = form.schema.fields.find(item => item.name === name);
+    if (!field || !form.fields[name]) return true;
+    
+    const failedRule = FormSchema.validateField(field, readValues(form));
+    
+    setFieldError(form, name, failedRule ? ruleMessage(`schemas.${form.schema.id}.fields.${name}`, failedRule) : null);
+    return !failedRule;
+}
+
+// Validate the selected attachments against the schema limits
+function validateAttachments(form) {
+    const files = Array.from(form.attachments.input.files || []);
+    const failed = FormSchema.validateAttachments(form.attachments.config, files);
+    
+    renderFieldError(form.attachments.input, form.attachments.errorElement,
+        failed ? ruleMessage(`schemas.${form.schema.id}.attachments`, failed) : null);
+    return !failed;
+}
+
+// Show an attachment the endpoint refused and forget earlier uploads
+function showAttachmentRejected(form, rule) {
+    const config = form.attachments.config;
+    const messages = config.messages || {};
+    const failed = {
+        rule: messages[rule] ? rule : 'type',
+        message: messages[rule] || messages.type,
+        name: t('form.oneOfTheFiles'),
+        maxFiles: config.maxFiles,
+        maxSizeMb: Math.round(config.maxSize / (1024 * 1024))
+    };
+    
+    form.attachments.uploads.clear();
+    renderFieldError(form.attachments.input, form.attachments.errorElement, ruleMessage(`schemas.${form.schema.id}.attachments`, failed));
+}
+
+// Message for a failed schema rule: "<prefix>.<rule>" from the catalogues, falling back
+// to the schema's own text. The rule's limit is passed as the count for plural forms.
+function ruleMessage(prefix, failed) {
+    const { message, rule, ...params } = failed;
+    
+    const count = typeof params.value === 'number' ? params.value : params.maxFiles;
+    if (count !== undefined) {
+        params.count = count;
     }
     
-    // Set submitting state
-    function setSubmittingState(submitting) {
-        isSubmitting = submitting;
-        
-        if (submitButton) {
-            submitButton.disabled = submitting;
-            submitButton.textContent = submitting ? 'Sending...' : 'Send message';
-        }
-        
-        if (submitting) {
-            contactForm.classList.add('loading');
+    return {
+        key: `${prefix}.${rule}`,
+        params: params,
+        fallback: FormSchema.formatMessage(failed)
+    };
+}
+
+// List the selected files with an upload progress bar each
+function renderAttachments(form) {
+    const { input, listElement, progress } = form.attachments;
+    progress.clear();
+    
+    if (!listElement) return;
+    
+    listElement.textContent = '';
+    
+    Array.from(input.files || []).forEach(file => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const bar = document.createElement('progress');
+        
+        item.className = 'flex items-center gap-3';
+        label.className = 'flex-1 truncate';
+        label.textContent = `${file.name} (${Math.max(1, Math.round(file.size / 1024))} KB)`;
+        bar.className = 'w-24';
+        bar.max = 100;
+        bar.value = 0;
+        bar.setAttribute('aria-label', t('form.uploadProgress', { name: file.name }));
+        
+        item.appendChild(label);
+        item.appendChild(bar);
+        listElement.appendChild(item);
+        progress.set(file, bar);
+    });
+}
+
+// Update the progress bar of a file being uploaded
+function setUploadProgress(form, file, percent) {
+    const bar = form.attachments.progress.get(file);
+    if (bar) {
+        bar.value = percent;
+    }
+}
+
+// Set field error
+function setFieldError(form, name, errorMessage) {
+    renderFieldError(form.fields[name], form.errorElements[name], errorMessage);
+}
+
+// Show ({ key, params, fallback } from ruleMessage) or clear the error message of a form control
+function renderFieldError(field, errorElement, errorMessage) {
+    if (field && errorElement) {
+        if (errorMessage) {
+            localize(errorElement, errorMessage.key, errorMessage.params, errorMessage.fallback);
+            errorElement.classList.remove('hidden');
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', errorElement.id);
         } else {
-            contactForm.classList.remove('loading');
+            localize(errorElement, null);
+            errorElement.classList.add('hidden');
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
         }
     }
-    
-    // Show success message
-    function showSuccess() {
-        if (successElement) {
-            successElement.classList.remove('hidden');
-            successElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Safari-compatible form reset
+function resetFormSafely(form) {
+    try {
+        // Clear all errors first
+        clearAllErrors(form);
+        
+        // Reset form
+        form.element.reset();
+        
+        // Safari-specific: manually clear any remaining values
+        Object.values(form.fields).forEach(field => {
+            if (field && field.type !== 'checkbox') {
+                field.value = '';
+            } else if (field && field.type === 'checkbox') {
+                field.checked = false;
+            }
+        });
+        
+        // Forget uploads of the sent attachments
+        if (form.attachments) {
+            form.attachments.input.value = '';
+            form.attachments.uploads.clear();
+            renderAttachments(form);
         }
         
+        // Reset form start time for next submission
+        form.element.dataset.startTime = Date.now().toString();
+        
+        console.log('Form reset successfully');
+    } catch (error) {
+        console.error('Error resetting form:', error);
+        // Fallback: just clear errors
+        clearAllErrors(form);
+    }
+}
+
+// Clear all errors
+function clearAllErrors(form) {
+    Object.values(form.errorElements).forEach(errorElement => {
         if (errorElement) {
+            localize(errorElement, null);
             errorElement.classList.add('hidden');
         }
+    });
+    
+    Object.values(form.fields).forEach(field => {
+        if (field) {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        }
+    });
+    
+    if (form.attachments) {
+        renderFieldError(form.attachments.input, form.attachments.errorElement, null);
+    }
+}
+
+// Set submitting state
+function setSubmittingState(form, submitting) {
+    form.isSubmitting = submitting;
+    form.submitButton.disabled = submitting;
+    if (submitting) {
+        localize(form.submitButton, 'form.sending');
+    } else {
+        localize(form.submitButton, form.submitKey, {}, form.submitLabel);
     }
     
-    // Show error message
-    function showError(customMessage) {
-        if (errorElement) {
-            if (customMessage) {
-                const errorText = errorElement.querySelector('span');
-                if (errorText) {
-                    errorText.textContent = customMessage;
-                }
-            }
-            errorElement.classList.remove('hidden');
-            errorElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (submitting) {
+        form.element.classList.add('loading');
+    } else {
+        form.element.classList.remove('loading');
+    }
+}
+
+// Show success message, with the reference number when the endpoint returned one
+function showSuccess(form, result) {
+    if (form.successElement) {
+        const reference = form.successElement.querySelector('[data-form-reference]');
+        const referenceValue = reference && reference.querySelector('strong');
+        
+        if (reference) {
+            reference.classList.toggle('hidden', !(result && result.reference));
+        }
+        if (referenceValue && result && result.reference) {
+            referenceValue.textContent = result.reference;
         }
         
-        if (successElement) {
-            successElement.classList.add('hidden');
+        form.successElement.classList.remove('hidden');
+        form.successElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    if (form.errorElement) {
+        form.errorElement.classList.add('hidden');
+    }
+}
+
+// Put a queued payload back into the form if the user has not started a new message.
+// Selects are left out of that check: the phone country is preselected.
+function restoreFormData(form, payload) {
+    const hasInput = Object.values(form.fields).some(field => (
+        field && field.type !== 'checkbox' && field.tagName !== 'SELECT' && field.value.trim()
+    ));
+    if (hasInput) return;
+    
+    Object.keys(form.fields).forEach(name => {
+        const field = form.fields[name];
+        if (!field || payload[name] === undefined) return;
+        
+        if (field.type === 'checkbox') {
+            field.checked = payload[name] === true;
+        } else {
+            field.value = payload[name] || '';
         }
+    });
+}
+
+// Show or hide the queued-while-offline status
+function showQueued(form, isQueued) {
+    if (!form.queuedElement) return;
+    
+    form.queuedElement.classList.toggle('hidden', !isQueued);
+    
+    if (isQueued) {
+        if (form.successElement) form.successElement.classList.add('hidden');
+        if (form.errorElement) form.errorElement.classList.add('hidden');
     }
+}
+
+// Retry the last failed submission
+function retrySubmit(form) {
+    if (form.isSubmitting) return;
     
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+    if (typeof form.element.requestSubmit === 'function') {
+        form.element.requestSubmit(form.submitButton);
     } else {
-        init();
+        form.submitButton.click();
     }
+}
+
+// Build a mailto: link pre-filled with the form contents
+function buildMailtoLink(form) {
+    const values = readValues(form);
+    const lines = [];
+    const longText = [];
     
-    // Expose functions for external use
-    window.ACTAContact = {
-        validateForm: validateAllFields,
-        resetForm: () => {
-            if (contactForm) {
-                contactForm.reset();
-                clearAllErrors();
+    form.schema.fields.forEach(field => {
+        if (field.type === 'checkbox') return;
+        
+        if (field.type === 'textarea') {
+            longText.push('', values[field.name]);
+        } else {
+            lines.push(`${t(`schemas.${form.schema.id}.fields.${field.name}.label`, {}, field.label)}: ${values[field.name]}`);
+        }
+    });
+    
+    const fullName = values.full_name || '';
+    const title = t(`schemas.${form.schema.id}.title`, {}, form.schema.title || t('form.websiteInquiry'));
+    const subject = fullName ? `${title} — ${fullName}` : title;
+    
+    return `mailto:${fallbackEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.concat(longText).join('\r\n'))}`;
+}
+
+// Show or hide the retry and email fallback actions
+function updateErrorActions(form, { retry = false, mailto = false } = {}) {
+    if (form.retryButton) {
+        form.retryButton.classList.toggle('hidden', !retry);
+    }
+    
+    if (form.mailtoLink) {
+        form.mailtoLink.classList.toggle('hidden', !mailto);
+        if (mailto) {
+            form.mailtoLink.href = buildMailtoLink(form);
+        }
+    }
+    
+    if (form.errorActions) {
+        form.errorActions.classList.toggle('hidden', !retry && !mailto);
+    }
+}
+
+// Show an error message by key (assets/i18n/), or the form's default error
+function showError(form, messageKey, actions, params = {}) {
+    if (form.errorElement) {
+        const errorText = form.errorElement.querySelector('span');
+        if (errorText) {
+            if (messageKey) {
+                localize(errorText, messageKey, params);
+            } else {
+                localize(errorText, form.defaultErrorKey, {}, form.defaultErrorMessage);
             }
         }
-    };
+        updateErrorActions(form, actions);
+        form.errorElement.classList.remove('hidden');
+        form.errorElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
     
-})();
+    if (form.successElement) {
+        form.successElement.classList.add('hidden');
+    }
+}
+
+// Expose functions for external use
+window.ACTAContact = {
+    validateForm: (formId = 'contact') => forms[formId] ? validateAllFields(forms[formId]) : false,
+    resetForm: (formId = 'contact') => {
+        const form = forms[formId];
+        if (form) {
+            form.element.reset();
+            clearAllErrors(form);
+        }
+    },
+    getForm: formId => forms[formId] ? forms[formId].schema : null
+};
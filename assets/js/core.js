@@ -0,0 +1,140 @@
+/**
+ * ACTA Website Core JavaScript
+ * Shared helpers for the feature modules: DOM ready, reduced-motion watcher,
+ * throttle/debounce, a small event bus and a data-* configuration reader
+ */
+
+// Run a callback once the DOM is parsed
+export function ready(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback, { once: true });
+    } else {
+        callback();
+    }
+}
+
+// Reduced motion preference, kept current when the visitor changes it
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+export function prefersReducedMotion() {
+    return reducedMotionQuery.matches;
+}
+
+// Call back with true/false whenever the preference changes; returns an unsubscribe function
+export function onReducedMotionChange(callback) {
+    const listener = e => callback(e.matches);
+    
+    // Safari before 14 only has addListener
+    if (reducedMotionQuery.addEventListener) {
+        reducedMotionQuery.addEventListener('change', listener);
+        return () => reducedMotionQuery.removeEventListener('change', listener);
+    }
+    
+    reducedMotionQuery.addListener(listener);
+    return () => reducedMotionQuery.removeListener(listener);
+}
+
+// Call at most once per limit; the last call in a burst is not dropped
+export function throttle(func, limit) {
+    let inThrottle = false;
+    let pending = null;
+    
+    return function throttled(...args) {
+        if (inThrottle) {
+            pending = args;
+            return;
+        }
+        
+        func.apply(this, args);
+        inThrottle = true;
+        
+        setTimeout(() => {
+            inThrottle = false;
+            if (pending) {
+                const lastArgs = pending;
+                pending = null;
+                throttled.apply(this, lastArgs);
+            }
+        }, limit);
+    };
+}
+
+// Call once calls have stopped for wait milliseconds
+export function debounce(func, wait) {
+    let timeout;
+    
+    return function(...args) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+}
+
+// Event bus shared by the feature modules
+const listeners = new Map();
+
+export const events = {
+    // Subscribe to an event; returns an unsubscribe function
+    on(name, callback) {
+        if (!listeners.has(name)) {
+            listeners.set(name, new Set());
+        }
+        listeners.get(name).add(callback);
+        
+        return () => events.off(name, callback);
+    },
+    
+    off(name, callback) {
+        if (listeners.has(name)) {
+            listeners.get(name).delete(callback);
+        }
+    },
+    
+    // A failing listener must not stop the others
+    emit(name, detail) {
+        (listeners.get(name) || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Listener for "${name}" failed:`, error);
+            }
+        });
+    }
+};
+
+// Read data-* attributes into an object shaped like defaults. Each key maps to its
+// kebab-case attribute (consentEndpoint -> data-consent-endpoint) and is parsed by the
+// default's type: numbers must be finite, booleans are "true"/"false", arrays are
+// space-separated. Missing or unparseable values keep the default.
+export function readConfig(element, defaults) {
+    const config = { ...defaults };
+    
+    if (!element) {
+        return config;
+    }
+    
+    Object.keys(defaults).forEach(key => {
+        const attribute = `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        const value = element.getAttribute(attribute);
+        
+        if (value === null || value === '') return;
+        
+        const fallback = defaults[key];
+        
+        if (typeof fallback === 'number') {
+            const number = Number(value);
+            if (Number.isFinite(number)) {
+                config[key] = number;
+            }
+        } else if (typeof fallback === 'boolean') {
+            if (value === 'true' || value === 'false') {
+                config[key] = value === 'true';
+            }
+        } else if (Array.isArray(fallback)) {
+            config[key] = value.split(/\s+/).filter(Boolean);
+        } else {
+            config[key] = value;
+        }
+    });
+    
+    return config;
+}
@@ -0,0 +1,185 @@
+/**
+ * ACTA Website Data Request JavaScript
+ * Access and erasure requests on the privacy page: sends the request, then confirms it
+ * from the one-time link emailed to the requester (server/data-requests.js).
+ */
+
+import { readConfig } from './core.js';
+import { localize } from './i18n.js';
+
+// Data request configuration
+const REQUEST_CONFIG = {
+    defaultEndpoint: '/api/data-requests',
+    requestTimeout: 15000,
+    linkParameter: 'data-request',
+    exportFileName: 'aciu-personal-data'
+};
+
+// Message keys (assets/i18n/) for result codes and verification failures (server/data-requests.js)
+const RESULT_MESSAGES = {
+    invalid: 'dataRequest.results.invalid',
+    rate_limited: 'dataRequest.results.rate_limited',
+    server_error: 'dataRequest.results.server_error',
+    invalid_link: 'dataRequest.results.invalid_link',
+    used_link: 'dataRequest.results.used_link',
+    expired_link: 'dataRequest.results.expired_link'
+};
+
+// Elements
+let section;
+let form;
+let confirmPanel;
+let endpoint;
+
+// Initialize the request form and, when opened from the emailed link, the confirmation
+// step (#data-request[data-acta-data-request])
+export function init([element]) {
+    section = element;
+    form = document.getElementById('data-request-form');
+    confirmPanel = document.getElementById('data-request-confirm');
+    endpoint = readConfig(section, { requestEndpoint: REQUEST_CONFIG.defaultEndpoint }).requestEndpoint.replace(/\/+$/, '');
+    
+    if (form) {
+        form.addEventListener('submit', handleSubmit);
+    }
+    
+    const code = readVerificationCode();
+    if (code && confirmPanel) {
+        showConfirmation(code);
+    }
+}
+
+// Read the code from the link and drop it from the address bar and history
+function readVerificationCode() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get(REQUEST_CONFIG.linkParameter);
+    
+    if (code) {
+        params.delete(REQUEST_CONFIG.linkParameter);
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+    }
+    
+    return code;
+}
+
+// POST JSON to the data request API
+async function postJson(url, body) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), REQUEST_CONFIG.requestTimeout) : null;
+    
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller ? controller.signal : undefined
+        });
+        
+        let result;
+        try {
+            result = await response.json();
+        } catch (e) {
+            result = null;
+        }
+        
+        return result && typeof result.code === 'string' ? result : { ok: false, code: 'server_error' };
+    } catch (error) {
+        console.error('Data request failed:', error);
+        return { ok: false, code: 'server_error' };
+    } finally {
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+// Send the request; the server emails a confirmation link
+async function handleSubmit(e) {
+    e.preventDefault();
+    
+    if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+    }
+    
+    const submitButton = form.querySelector('button[type="submit"]');
+    const data = new FormData(form);
+    
+    submitButton.disabled = true;
+    setStatus(form, null);
+    
+    const result = await postJson(endpoint, {
+        email: String(data.get('email') || ''),
+        request_type: String(data.get('request_type') || ''),
+        website_url: String(data.get('website_url') || '')
+    });
+    
+    submitButton.disabled = false;
+    
+    if (result.ok) {
+        form.reset();
+        setStatus(form, 'dataRequest.sent', 'success');
+    } else {
+        setStatus(form, RESULT_MESSAGES[result.code] || RESULT_MESSAGES.server_error, 'error');
+    }
+}
+
+// Show the confirmation step for a link opened from the email
+function showConfirmation(code) {
+    const confirmButton = confirmPanel.querySelector('[data-request-action="confirm"]');
+    
+    confirmPanel.classList.remove('hidden');
+    if (form) {
+        form.classList.add('hidden');
+    }
+    
+    section.scrollIntoView();
+    confirmButton.focus();
+    
+    // Nothing happens until the button is pressed, so link scanners cannot trigger it
+    confirmButton.addEventListener('click', async () => {
+        confirmButton.disabled = true;
+        setStatus(confirmPanel, 'dataRequest.processing');
+        
+        const result = await postJson(`${endpoint}/verify`, { code });
+        
+        if (!result.ok) {
+            confirmButton.disabled = false;
+            setStatus(confirmPanel, RESULT_MESSAGES[result.reason] || RESULT_MESSAGES[result.code] || RESULT_MESSAGES.server_error, 'error');
+            return;
+        }
+        
+        confirmButton.classList.add('hidden');
+        
+        if (result.type === 'erasure') {
+            const count = result.erased.inquiries;
+            setStatus(confirmPanel, count ? 'dataRequest.erased' : 'dataRequest.erasedNone', 'success', { count });
+        } else {
+            showExport(result.export);
+        }
+    });
+}
+
+// Offer the export as a JSON download
+function showExport(data) {
+    const count = data.inquiries.length;
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = confirmPanel.querySelector('[data-request-download]');
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = `${REQUEST_CONFIG.exportFileName}-${data.generated_at.slice(0, 10)}.json`;
+    link.classList.remove('hidden');
+    link.focus();
+    
+    setStatus(confirmPanel, count ? 'dataRequest.ready' : 'dataRequest.readyNone', 'success', { count });
+}
+
+// Update the status message inside a form or panel; it follows locale changes
+function setStatus(container, messageKey, tone, params = {}) {
+    const status = container.querySelector('[data-request-status]');
+    
+    localize(status, messageKey, params);
+    status.classList.toggle('text-green-700', tone === 'success');
+    status.classList.toggle('text-red-700', tone === 'error');
+}
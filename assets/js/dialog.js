@@ -0,0 +1,166 @@
+/**
+ * ACTA Website Dialog JavaScript
+ * Shared behaviour for modal surfaces (cookie preferences, mobile menu): focus trap,
+ * inert background, scroll lock, focus restoration and Escape handling
+ */
+
+// Elements the focus trap cycles through
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'summary',
+    'iframe',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open dialogs share one scroll lock
+let scrollLocks = 0;
+let savedBodyStyle = null;
+
+// Focusable elements inside the given containers, in order, skipping hidden ones
+function getFocusable(containers) {
+    return containers.reduce((elements, container) => {
+        const candidates = container.matches(FOCUSABLE_SELECTOR) ? [container] : [];
+        candidates.push(...container.querySelectorAll(FOCUSABLE_SELECTOR));
+        
+        return elements.concat(candidates.filter(element => !element.closest('.hidden, [hidden], [inert]')));
+    }, []);
+}
+
+// Make everything outside the kept elements inert; returns what was changed
+function inertOutside(keep) {
+    const changed = [];
+    
+    (function walk(parent) {
+        Array.from(parent.children).forEach(child => {
+            if (keep.includes(child)) return;
+            
+            // Step into ancestors of a kept element instead of disabling them
+            if (keep.some(element => child.contains(element))) {
+                walk(child);
+                return;
+            }
+            
+            if (child.tagName !== 'SCRIPT' && !child.hasAttribute('inert')) {
+                child.setAttribute('inert', '');
+                changed.push(child);
+            }
+        });
+    })(document.body);
+    
+    return changed;
+}
+
+// Stop the page behind from scrolling, keeping the layout where the scrollbar was
+function lockScroll() {
+    if (scrollLocks++ > 0) return;
+    
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    
+    savedBodyStyle = {
+        overflow: document.body.style.overflow,
+        paddingRight: document.body.style.paddingRight
+    };
+    document.body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) {
+        document.body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+}
+
+// Release the scroll lock once the last dialog closes
+function unlockScroll() {
+    if (scrollLocks === 0 || --scrollLocks > 0) return;
+    
+    document.body.style.overflow = savedBodyStyle.overflow;
+    document.body.style.paddingRight = savedBodyStyle.paddingRight;
+    savedBodyStyle = null;
+}
+
+// Create a dialog controller for an element.
+// Options:
+//   include   - elements outside the dialog that stay usable and join the focus
+//               trap (e.g. the button that toggles a menu)
+//   onEscape  - called on Escape; defaults to closing the dialog
+//   initialFocus - element or function returning the element to focus on open
+export function createDialog(element, options = {}) {
+    const include = options.include || [];
+    let isOpen = false;
+    let returnFocusTo = null;
+    let inerted = [];
+    
+    // Keep Tab and Shift+Tab inside the dialog; close on Escape
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (options.onEscape) {
+                options.onEscape();
+            } else {
+                close();
+            }
+            return;
+        }
+        
+        if (e.key !== 'Tab') return;
+        
+        const focusable = getFocusable([element, ...include]);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const current = focusable.indexOf(document.activeElement);
+        
+        if (e.shiftKey && current <= 0) {
+            last.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && (current === -1 || current === focusable.length - 1)) {
+            first.focus();
+            e.preventDefault();
+        }
+    }
+    
+    // Open: trap focus, disable the background and lock scrolling
+    function open() {
+        if (isOpen) return;
+        isOpen = true;
+        
+        returnFocusTo = document.activeElement;
+        inerted = inertOutside([element, ...include]);
+        lockScroll();
+        document.addEventListener('keydown', handleKeydown);
+        
+        const initial = typeof options.initialFocus === 'function' ? options.initialFocus() : options.initialFocus;
+        const target = initial || getFocusable([element])[0];
+        if (target) {
+            target.focus();
+        }
+    }
+    
+    // Close: undo everything open() did and, unless told not to, return focus to
+    // the element that had it before
+    function close({ restoreFocus = true } = {}) {
+        if (!isOpen) return;
+        isOpen = false;
+        
+        document.removeEventListener('keydown', handleKeydown);
+        inerted.forEach(child => child.removeAttribute('inert'));
+        inerted = [];
+        unlockScroll();
+        
+        if (restoreFocus && returnFocusTo && typeof returnFocusTo.focus === 'function' && document.contains(returnFocusTo)) {
+            returnFocusTo.focus();
+        }
+        returnFocusTo = null;
+    }
+    
+    return {
+        open: open,
+        close: close,
+        isOpen: () => isOpen
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * ACTA Website Fallback JavaScript
+ * Loaded with nomodule by browsers that cannot run the ES module scripts. Keeps the
+ * pages usable: content is shown without animation, the mobile menu opens and closes,
+ * and forms point visitors to email instead of submitting.
+ * Written in ES5 on purpose.
+ */
+
+(function() {
+    'use strict';
+    
+    // Show the header and every fade-up element straight away
+    function showContent() {
+        document.documentElement.setAttribute('data-state', 'loaded');
+        
+        var elements = document.querySelectorAll('.fade-up');
+        for (var i = 0; i < elements.length; i++) {
+            elements[i].className += ' is-in';
+        }
+    }
+    
+    // Plain mobile menu toggle
+    function initMobileMenu() {
+        var button = document.querySelector('.mobile-menu-button');
+        var menu = document.querySelector('.mobile-menu');
+        
+        if (!button || !menu) return;
+        
+        button.addEventListener('click', function() {
+            var open = button.getAttribute('aria-expanded') !== 'true';
+            
+            button.setAttribute('aria-expanded', open ? 'true' : 'false');
+            menu.className = open ? menu.className.replace(/\s*\bhidden\b/g, '') : menu.className + ' hidden';
+        });
+    }
+    
+    // Forms need the module scripts to submit; stop them falling back to a GET request
+    // that would put what was typed in the URL, and offer email instead
+    function initForms() {
+        var config = document.getElementById('supabase');
+        var email = config && config.getAttribute('data-fallback-email');
+        var forms = document.querySelectorAll('[data-acta-contact], [data-acta-data-request] form');
+        
+        for (var i = 0; i < forms.length; i++) {
+            forms[i].addEventListener('submit', function(e) {
+                e.preventDefault();
+                
+                var form = e.currentTarget;
+                if (form.querySelector('.fallback-notice')) return;
+                
+                var notice = document.createElement('p');
+                notice.className = 'fallback-notice text-sm text-ink/80';
+                notice.setAttribute('role', 'alert');
+                notice.appendChild(document.createTextNode('This form is not supported by your browser. '));
+                
+                if (email) {
+                    var link = document.createElement('a');
+                    link.href = 'mailto:' + email;
+                    link.className = 'text-brand underline';
+                    link.appendChild(document.createTextNode('Email us at ' + email));
+                    notice.appendChild(link);
+                    notice.appendChild(document.createTextNode(' instead.'));
+                } else {
+                    notice.appendChild(document.createTextNode('Please email us instead.'));
+                }
+                
+                form.appendChild(notice);
+            });
+        }
+    }
+    
+    function init() {
+        showContent();
+        initMobileMenu();
+        initForms();
+    }
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
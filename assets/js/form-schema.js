@@ -0,0 +1,338 @@
+/**
+ * ACTA Website Form Schema Engine
+ * Validates values and builds database rows from JSON form schemas (assets/forms/*.json).
+ * Loaded as a browser script and required by the submission server so both apply the same rules.
+ */
+
+(function(root, factory) {
+    'use strict';
+    
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ACTAFormSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+    
+    // Email addresses may use Unicode in the local part (RFC 6531) and in the domain (IDNA).
+    // Quoted local parts and IP address literals are not accepted.
+    const EMAIL_RULES = {
+        localPartRegex: /^[^\s@"(),:;<>[\\\]\p{Cc}]+$/u,
+        domainLabelRegex: /^[\p{L}\p{N}\p{M}](?:[\p{L}\p{N}\p{M}-]{0,61}[\p{L}\p{N}\p{M}])?$/u,
+        maxLocalPartLength: 64,
+        maxDomainLength: 253,
+        maxLabelLength: 63
+    };
+    
+    // International phone numbers in E.164 form: "+", country code, up to 15 digits in all
+    const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+    
+    // Country calling codes and national trunk prefixes for the phone country selector,
+    // by ISO 3166-1 alpha-2 code. A trunk prefix is dropped when the country code is added
+    // ("030 1234567" in DE -> "+49301234567"); Italy and others keep their leading 0.
+    const CALLING_CODES = {
+        AT: { code: '43', trunk: ['0'] },
+        AU: { code: '61', trunk: ['0'] },
+        BE: { code: '32', trunk: ['0'] },
+        BG: { code: '359', trunk: ['0'] },
+        BR: { code: '55', trunk: ['0'] },
+        CA: { code: '1', trunk: ['1'] },
+        CH: { code: '41', trunk: ['0'] },
+        CN: { code: '86', trunk: ['0'] },
+        CY: { code: '357', trunk: [] },
+        CZ: { code: '420', trunk: [] },
+        DE: { code: '49', trunk: ['0'] },
+        DK: { code: '45', trunk: [] },
+        EE: { code: '372', trunk: [] },
+        ES: { code: '34', trunk: [] },
+        FI: { code: '358', trunk: ['0'] },
+        FR: { code: '33', trunk: ['0'] },
+        GB: { code: '44', trunk: ['0'] },
+        GR: { code: '30', trunk: [] },
+        HR: { code: '385', trunk: ['0'] },
+        HU: { code: '36', trunk: ['06'] },
+        IE: { code: '353', trunk: ['0'] },
+        IL: { code: '972', trunk: ['0'] },
+        IN: { code: '91', trunk: ['0'] },
+        IS: { code: '354', trunk: [] },
+        IT: { code: '39', trunk: [] },
+        JP: { code: '81', trunk: ['0'] },
+        KR: { code: '82', trunk: ['0'] },
+        LI: { code: '423', trunk: [] },
+        LT: { code: '370', trunk: ['0', '8'] },
+        LU: { code: '352', trunk: [] },
+        LV: { code: '371', trunk: [] },
+        MT: { code: '356', trunk: [] },
+        MX: { code: '52', trunk: [] },
+        NL: { code: '31', trunk: ['0'] },
+        NO: { code: '47', trunk: [] },
+        NZ: { code: '64', trunk: ['0'] },
+        PL: { code: '48', trunk: [] },
+        PT: { code: '351', trunk: [] },
+        RO: { code: '40', trunk: ['0'] },
+        RS: { code: '381', trunk: ['0'] },
+        SE: { code: '46', trunk: ['0'] },
+        SG: { code: '65', trunk: [] },
+        SI: { code: '386', trunk: ['0'] },
+        SK: { code: '421', trunk: ['0'] },
+        TR: { code: '90', trunk: ['0'] },
+        UA: { code: '380', trunk: ['0'] },
+        US: { code: '1', trunk: ['1'] },
+        ZA: { code: '27', trunk: ['0'] }
+    };
+    
+    // File types an attachments section may allow, by the key used in "types"
+    const ATTACHMENT_TYPES = {
+        pdf: {
+            extension: '.pdf',
+            mimeType: 'application/pdf'
+        },
+        docx: {
+            extension: '.docx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        },
+        xlsx: {
+            extension: '.xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        }
+    };
+    
+    // Validator rules referenced by "rule" in a schema field's "validators" list.
+    // Every rule except "required" passes on empty values.
+    const VALIDATORS = {
+        required: (value, rule, field) => field.type === 'checkbox' ? value === true : value !== '',
+        email: value => value === '' || isEmail(value),
+        phone: value => value === '' || E164_REGEX.test(value),
+        country: value => value === '' || Object.prototype.hasOwnProperty.call(CALLING_CODES, value),
+        minLength: (value, rule) => value === '' || value.length >= rule.value,
+        maxLength: (value, rule) => value === '' || value.length <= rule.value,
+        pattern: (value, rule) => value === '' || new RegExp(rule.value).test(value),
+        oneOf: (value, rule) => value === '' || rule.value.indexOf(value) !== -1,
+        date: value => value === '' || isDate(value),
+        after: (value, rule, field, values) => value === '' || !values[rule.field] || value > values[rule.field]
+    };
+    
+    // Check a YYYY-MM-DD calendar date. Date.parse rolls impossible dates over
+    // ("2026-02-30" becomes March 2), so the parts must come back unchanged.
+    function isDate(value) {
+        if (!DATE_REGEX.test(value)) return false;
+        
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        
+        // Date.UTC reads years 0-99 as 1900-1999
+        date.setUTCFullYear(year);
+        
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+    
+    // The ASCII (punycode) form of a domain, or null when it is not a valid host name
+    function toAsciiDomain(domain) {
+        try {
+            return new URL(`http://${domain}`).hostname;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Check an email address, allowing internationalised local parts and domains
+    function isEmail(value) {
+        const at = value.lastIndexOf('@');
+        const localPart = value.slice(0, at);
+        const domain = value.slice(at + 1);
+        
+        if (at < 1 || localPart.length > EMAIL_RULES.maxLocalPartLength || !EMAIL_RULES.localPartRegex.test(localPart) ||
+            /^\.|\.\.|\.$/.test(localPart)) {
+            return false;
+        }
+        
+        const labels = domain.split('.');
+        if (labels.length < 2 || !labels.every(label => EMAIL_RULES.domainLabelRegex.test(label)) || /^\d+$/.test(labels[labels.length - 1])) {
+            return false;
+        }
+        
+        const asciiDomain = toAsciiDomain(domain);
+        return asciiDomain !== null && asciiDomain.length <= EMAIL_RULES.maxDomainLength &&
+            asciiDomain.split('.').every(label => label.length <= EMAIL_RULES.maxLabelLength);
+    }
+    
+    // Compose an email address in Unicode normal form with a lower-case domain
+    function normaliseEmail(value) {
+        const at = value.lastIndexOf('@');
+        const normalised = at === -1 ? value : value.slice(0, at) + '@' + value.slice(at + 1).toLowerCase();
+        
+        return normalised.normalize('NFC');
+    }
+    
+    // Convert a phone number to E.164 ("+35621234567"). Numbers starting with + or 00 keep
+    // their own country code; others get the code of the selected country. A number that
+    // cannot be converted is returned unchanged, so the "phone" rule rejects it.
+    function toE164(value, country) {
+        let number = value.replace(/[\s().\-/]/g, '');
+        
+        if (number.startsWith('00')) {
+            number = `+${number.slice(2)}`;
+        }
+        
+        if (!number.startsWith('+')) {
+            const calling = Object.prototype.hasOwnProperty.call(CALLING_CODES, country) ? CALLING_CODES[country] : null;
+            if (!calling || !/^\d+$/.test(number)) return value;
+            
+            const trunk = calling.trunk.find(prefix => number.startsWith(prefix));
+            number = `+${calling.code}${trunk ? number.slice(trunk.length) : number}`;
+        }
+        
+        return E164_REGEX.test(number) ? number : value;
+    }
+    
+    // Normalise a raw input value according to the field type
+    function normaliseValue(field, raw) {
+        if (field.type === 'checkbox') {
+            return raw === true;
+        }
+        
+        const value = typeof raw === 'string' ? raw.trim() : '';
+        return field.type === 'email' ? normaliseEmail(value) : value;
+    }
+    
+    // Normalise every schema field from a payload keyed by field name. Fields with
+    // "format": "e164" are converted using the country chosen in their "countryField".
+    function normaliseValues(schema, payload) {
+        const values = {};
+        
+        schema.fields.forEach(field => {
+            values[field.name] = normaliseValue(field, payload[field.name]);
+        });
+        
+        schema.fields.forEach(field => {
+            if (field.format === 'e164' && values[field.name]) {
+                values[field.name] = toE164(values[field.name], values[field.countryField]);
+            }
+        });
+        
+        return values;
+    }
+    
+    // Return the first failing validator rule for a field, or null
+    function validateField(field, values) {
+        const value = values[field.name];
+        const rules = field.validators || [];
+        
+        for (let i = 0; i < rules.length; i++) {
+            const validator = VALIDATORS[rules[i].rule];
+            
+            if (!validator) {
+                throw new Error(`Unknown validator "${rules[i].rule}" on field "${field.name}"`);
+            }
+            
+            if (!validator(value, rules[i], field, values)) {
+                return rules[i];
+            }
+        }
+        
+        return null;
+    }
+    
+    // Validate all fields; returns failing rule names keyed by field name
+    function validate(schema, values) {
+        const errors = {};
+        
+        schema.fields.forEach(field => {
+            const failed = validateField(field, values);
+            if (failed) {
+                errors[field.name] = failed.rule;
+            }
+        });
+        
+        return errors;
+    }
+    
+    // Fill {placeholders} in a rule message from the rule, e.g. "at least {value} characters"
+    function formatMessage(rule) {
+        return (rule.message || '').replace(/\{(\w+)\}/g, (match, key) => (
+            rule[key] !== undefined ? String(rule[key]) : match
+        ));
+    }
+    
+    // Find the allowed type for a file by extension; the MIME type must match when given
+    function attachmentType(attachments, file) {
+        const name = (file.name || '').toLowerCase();
+        const key = (attachments.types || []).find(type => (
+            ATTACHMENT_TYPES[type] && name.endsWith(ATTACHMENT_TYPES[type].extension)
+        ));
+        
+        if (!key || (file.type && file.type !== ATTACHMENT_TYPES[key].mimeType)) {
+            return null;
+        }
+        
+        return key;
+    }
+    
+    // Check one file ({ name, size, type }) against a schema's "attachments" section.
+    // Returns a rule-like object for formatMessage, or null when the file is accepted.
+    function validateAttachment(attachments, file) {
+        const messages = attachments.messages || {};
+        const details = {
+            name: file.name,
+            maxSizeMb: Math.round(attachments.maxSize / (1024 * 1024))
+        };
+        
+        if (!attachmentType(attachments, file)) {
+            return { rule: 'type', message: messages.type, ...details };
+        }
+        
+        if (!file.size || file.size > attachments.maxSize) {
+            return { rule: 'maxSize', message: messages.maxSize, ...details };
+        }
+        
+        return null;
+    }
+    
+    // Check the selected files as a whole; returns the first failure or null
+    function validateAttachments(attachments, files) {
+        if (files.length > attachments.maxFiles) {
+            return { rule: 'maxFiles', message: (attachments.messages || {}).maxFiles, maxFiles: attachments.maxFiles };
+        }
+        
+        for (let i = 0; i < files.length; i++) {
+            const failed = validateAttachment(attachments, files[i]);
+            if (failed) return failed;
+        }
+        
+        return null;
+    }
+    
+    // Map field values to database columns; empty optional values are stored as null
+    function toRow(schema, values) {
+        const row = {};
+        
+        schema.fields.forEach(field => {
+            if (!field.column) return;
+            
+            const value = values[field.name];
+            row[field.column] = value === '' ? null : value;
+        });
+        
+        return row;
+    }
+    
+    return {
+        VALIDATORS: VALIDATORS,
+        ATTACHMENT_TYPES: ATTACHMENT_TYPES,
+        CALLING_CODES: CALLING_CODES,
+        isEmail: isEmail,
+        toE164: toE164,
+        normaliseValue: normaliseValue,
+        normaliseValues: normaliseValues,
+        validateField: validateField,
+        validate: validate,
+        formatMessage: formatMessage,
+        attachmentType: attachmentType,
+        validateAttachment: validateAttachment,
+        validateAttachments: validateAttachments,
+        toRow: toRow
+    };
+});
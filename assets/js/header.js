@@ -1,204 +1,384 @@
 /**
  * ACTA Website Header JavaScript
- * Handles header reveal on scroll and mobile menu functionality
+ * Handles header reveal on scroll, the optional auto-hide mode, the mobile menu and
+ * highlighting the section being read in the navigation (scroll-spy)
  */
 
-(function() {
-    'use strict';
-    
-    // DOM elements
-    const html = document.documentElement;
-    const mobileMenuButton = document.querySelector('.mobile-menu-button');
-    const mobileMenu = document.querySelector('.mobile-menu');
-    const mobileMenuLinks = document.querySelectorAll('.mobile-menu a');
-    const desktopNav = document.querySelector('.desktop-nav');
-    
-    // State
-    let isScrolled = false;
-    let isMobileMenuOpen = false;
-    let lastScrollY = 0;
-    
-    // Throttle function for scroll events
-    function throttle(func, limit) {
-        let inThrottle;
-        return function() {
-            const args = arguments;
-            const context = this;
-            if (!inThrottle) {
-                func.apply(context, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
-    }
+import { throttle, debounce, readConfig, prefersReducedMotion, onReducedMotionChange } from './core.js';
+import { createDialog } from './dialog.js';
+
+// DOM elements
+const html = document.documentElement;
+let mobileMenuButton;
+let mobileMenu;
+let mobileMenuLinks;
+let desktopNav;
+let header;
+
+// Header modes, chosen with data-header-mode on the header element: "reveal" keeps the
+// header in place once shown; "auto-hide" slides it away while scrolling down and back
+// while scrolling up, once the scroll is faster than hideVelocity (px per ms). The mode
+// in effect is mirrored on <html data-header-mode>.
+const HEADER_CONFIG = {
+    modes: ['reveal', 'auto-hide'],
+    defaultMode: 'reveal',
+    defaultHideVelocity: 0.3,
+    scrolledOffset: 48
+};
+
+// Scroll-spy: a section is current while it crosses the band between the bottom of
+// the header and this fraction of the viewport height
+const SPY_CONFIG = {
+    bandBottom: 0.4,
+    resizeDelay: 150         // ms after the header stops changing height before re-observing
+};
+
+// State
+let isScrolled = false;
+let isMobileMenuOpen = false;
+let lastScrollY = 0;
+let lastScrollTime = 0;
+let headerMode = HEADER_CONFIG.defaultMode;
+let hideVelocity = HEADER_CONFIG.defaultHideVelocity;
+let isHeaderHidden = false;
+let menuDialog = null;
+let spyLinks = new Map();
+let spySections = [];
+let visibleSections = new Set();
+let currentSection = null;
+let spyObserver = null;
+let spyHeaderHeight = null;
+
+// Header scroll reveal functionality
+function handleScroll() {
+    const scrollY = window.scrollY;
+    const now = performance.now();
     
-    // Header scroll reveal functionality
-    function handleScroll() {
-        const scrollY = window.scrollY;
-        
-        // Toggle scrolled state based on scroll position
-        if (scrollY > 48 && !isScrolled) {
-            isScrolled = true;
-            html.setAttribute('data-state', 'scrolled');
-        } else if (scrollY <= 48 && isScrolled) {
-            isScrolled = false;
-            html.setAttribute('data-state', 'loaded');
-        }
-        
-        lastScrollY = scrollY;
+    // Toggle scrolled state based on scroll position
+    if (scrollY > HEADER_CONFIG.scrolledOffset && !isScrolled) {
+        isScrolled = true;
+        html.setAttribute('data-state', 'scrolled');
+    } else if (scrollY <= HEADER_CONFIG.scrolledOffset && isScrolled) {
+        isScrolled = false;
+        html.setAttribute('data-state', 'loaded');
     }
     
-    // Mobile menu functionality
-    function toggleMobileMenu() {
-        isMobileMenuOpen = !isMobileMenuOpen;
-        
-        if (isMobileMenuOpen) {
-            openMobileMenu();
-        } else {
-            closeMobileMenu();
-        }
+    if (effectiveMode() === 'auto-hide') {
+        updateAutoHide(scrollY - lastScrollY, now - lastScrollTime);
     }
     
-    function openMobileMenu() {
-        mobileMenuButton.setAttribute('aria-expanded', 'true');
-        mobileMenu.classList.remove('hidden');
-        isMobileMenuOpen = true;
-        
-        // Focus trap
-        trapFocus(mobileMenu);
-        
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+    lastScrollY = scrollY;
+    lastScrollTime = now;
+}
+
+// Auto-hide: hide on a fast enough scroll down, show on a fast enough scroll up. Slow
+// drifts leave the header as it is; near the top it is always shown.
+function updateAutoHide(distance, elapsed) {
+    if (window.scrollY <= header.offsetHeight) {
+        showHeader();
+        return;
     }
     
-    function closeMobileMenu() {
-        mobileMenuButton.setAttribute('aria-expanded', 'false');
-        mobileMenu.classList.add('hidden');
-        isMobileMenuOpen = false;
-        
-        // Restore body scroll
-        document.body.style.overflow = '';
-        
-        // Return focus to menu button
-        mobileMenuButton.focus();
+    const velocity = elapsed > 0 ? Math.abs(distance) / elapsed : 0;
+    
+    if (velocity < hideVelocity) return;
+    
+    if (distance > 0) {
+        hideHeader();
+    } else if (distance < 0) {
+        showHeader();
     }
+}
+
+// Reduced motion keeps the header in place whatever the configured mode
+function effectiveMode() {
+    return prefersReducedMotion() ? 'reveal' : headerMode;
+}
+
+// Mirror the mode in effect on <html>; leaving auto-hide shows the header again
+function applyHeaderMode() {
+    const mode = effectiveMode();
     
-    // Focus trap for mobile menu
-    function trapFocus(element) {
-        const focusableElements = element.querySelectorAll(
-            'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
-        );
-        const firstFocusableElement = focusableElements[0];
-        const lastFocusableElement = focusableElements[focusableElements.length - 1];
-        
-        element.addEventListener('keydown', function(e) {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusableElement) {
-                        lastFocusableElement.focus();
-                        e.preventDefault();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusableElement) {
-                        firstFocusableElement.focus();
-                        e.preventDefault();
-                    }
-                }
-            }
-        });
-        
-        // Focus first element
-        if (firstFocusableElement) {
-            firstFocusableElement.focus();
-        }
+    html.setAttribute('data-header-mode', mode);
+    
+    if (mode !== 'auto-hide') {
+        showHeader();
     }
+}
+
+// The header never hides while the mobile menu is open or it holds the focus
+function hideHeader() {
+    if (isHeaderHidden || isMobileMenuOpen || header.contains(document.activeElement)) return;
     
-    // Handle mobile menu link clicks
-    function handleMobileMenuLinkClick() {
+    isHeaderHidden = true;
+    html.setAttribute('data-header-hidden', '');
+}
+
+function showHeader() {
+    if (!isHeaderHidden) return;
+    
+    isHeaderHidden = false;
+    html.removeAttribute('data-header-hidden');
+}
+
+// Mobile menu functionality
+function toggleMobileMenu() {
+    isMobileMenuOpen = !isMobileMenuOpen;
+    
+    if (isMobileMenuOpen) {
+        openMobileMenu();
+    } else {
         closeMobileMenu();
     }
+}
+
+function openMobileMenu() {
+    mobileMenuButton.setAttribute('aria-expanded', 'true');
+    mobileMenu.classList.remove('hidden');
+    isMobileMenuOpen = true;
+    showHeader();
     
-    // Handle escape key
-    function handleEscapeKey(e) {
-        if (e.key === 'Escape' && isMobileMenuOpen) {
-            closeMobileMenu();
-        }
-    }
+    // Trap focus, starting at the first link, and lock the page behind
+    menuDialog.open();
+}
+
+function closeMobileMenu() {
+    mobileMenuButton.setAttribute('aria-expanded', 'false');
+    mobileMenu.classList.add('hidden');
+    isMobileMenuOpen = false;
     
-    // Handle window resize
-    function handleResize() {
-        // Close mobile menu on desktop
-        if (window.innerWidth >= 768 && isMobileMenuOpen) {
-            closeMobileMenu();
-        }
-        
-        // Update navigation visibility
-        updateNavigationVisibility();
+    // Release the page and return focus to the menu button
+    menuDialog.close();
+}
+
+// Handle mobile menu link clicks
+function handleMobileMenuLinkClick() {
+    closeMobileMenu();
+}
+
+// Handle window resize
+function handleResize() {
+    // Close mobile menu on desktop
+    if (window.innerWidth >= 768 && isMobileMenuOpen) {
+        closeMobileMenu();
     }
     
-    // Update navigation visibility based on screen size
-    function updateNavigationVisibility() {
-        if (desktopNav) {
-            if (window.innerWidth >= 768) {
-                desktopNav.style.display = 'block';
-            } else {
-                desktopNav.style.display = 'none';
-            }
+    // Update navigation visibility
+    updateNavigationVisibility();
+}
+
+// Update navigation visibility based on screen size
+function updateNavigationVisibility() {
+    if (desktopNav) {
+        if (window.innerWidth >= 768) {
+            desktopNav.style.display = 'block';
+        } else {
+            desktopNav.style.display = 'none';
         }
     }
+}
+
+// Sections named by the in-page navigation links, in document order, each with the
+// desktop and mobile links pointing to it
+function collectSpyTargets() {
+    spyLinks = new Map();
     
-    // Initialize header functionality
-    function init() {
-        // Set initial state - show header initially, then hide if not scrolled
-        html.setAttribute('data-state', 'loaded');
-        
-        // Check initial scroll position
-        handleScroll();
+    header.querySelectorAll('.desktop-nav a[href^="#"], .mobile-menu a[href^="#"]').forEach(link => {
+        const id = decodeURIComponent(link.getAttribute('href').slice(1));
+        const section = id && document.getElementById(id);
         
-        // Add scroll event listener with throttling
-        window.addEventListener('scroll', throttle(handleScroll, 16), { passive: true });
+        if (!section) return;
         
-        // Mobile menu event listeners
-        if (mobileMenuButton) {
-            mobileMenuButton.addEventListener('click', toggleMobileMenu);
+        if (!spyLinks.has(section)) {
+            spyLinks.set(section, []);
         }
-        
-        // Close mobile menu when clicking on links
-        mobileMenuLinks.forEach(link => {
-            link.addEventListener('click', handleMobileMenuLinkClick);
-        });
-        
-        // Handle escape key
-        document.addEventListener('keydown', handleEscapeKey);
-        
-        // Handle window resize
-        window.addEventListener('resize', throttle(handleResize, 250));
-        
-        // Initialize navigation visibility
-        updateNavigationVisibility();
-        
-        // Handle clicks outside mobile menu
-        document.addEventListener('click', function(e) {
-            if (isMobileMenuOpen && 
-                !mobileMenu.contains(e.target) && 
-                !mobileMenuButton.contains(e.target)) {
-                closeMobileMenu();
+        spyLinks.get(section).push(link);
+    });
+    
+    spySections = Array.from(spyLinks.keys()).sort((a, b) => (
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+}
+
+// Track which sections cross the band, then work out the current one
+function handleIntersections(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            visibleSections.add(entry.target);
+        } else {
+            visibleSections.delete(entry.target);
+        }
+    });
+    
+    updateCurrentSection();
+}
+
+// The first section in the band is current. Between sections (e.g. a section without
+// a navigation link) the last one stays current; above the first there is none.
+function updateCurrentSection() {
+    let section = spySections.find(candidate => visibleSections.has(candidate));
+    
+    if (!section) {
+        const first = spySections[0];
+        section = first && first.getBoundingClientRect().top > header.offsetHeight ? null : currentSection;
+    }
+    
+    setCurrentSection(section);
+}
+
+// Mark the links to the current section and keep the URL hash in step
+function setCurrentSection(section) {
+    if (section === currentSection) return;
+    
+    currentSection = section;
+    
+    spyLinks.forEach((links, target) => {
+        links.forEach(link => {
+            if (target === section) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
+    });
+    
+    updateHash(section);
+}
+
+// Replace (not push) the hash so reading the page does not fill the history, and only
+// when the hash is empty or names a spied section, so other deep links (#audit-quote)
+// are kept. replaceState never scrolls.
+function updateHash(section) {
+    if (!history.replaceState) return;
+    
+    const currentId = decodeURIComponent(location.hash.slice(1));
+    const spied = currentId === '' || spySections.some(candidate => candidate.id === currentId);
+    const id = section ? section.id : '';
+    
+    if (!spied || id === currentId) return;
+    
+    const url = id ? `#${encodeURIComponent(id)}` : location.pathname + location.search;
+    history.replaceState(history.state, '', url);
+}
+
+// Observe the sections with a band that starts below the header. The margin is fixed
+// when the observer is made, so a header that changes height (breakpoints, a wrapping
+// nav) needs a new observer; it reports every section again on creation.
+function observeSpySections() {
+    const height = header.offsetHeight;
+    
+    if (spyObserver && height === spyHeaderHeight) return;
+    
+    if (spyObserver) {
+        spyObserver.disconnect();
+        visibleSections.clear();
     }
     
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+    const bottom = Math.round((1 - SPY_CONFIG.bandBottom) * 100);
+    spyHeaderHeight = height;
+    spyObserver = new IntersectionObserver(handleIntersections, {
+        rootMargin: `-${height}px 0px -${bottom}% 0px`
+    });
+    
+    spySections.forEach(section => spyObserver.observe(section));
+}
+
+// Watch the sections named by the navigation; without IntersectionObserver nothing is
+// highlighted
+function initScrollSpy() {
+    collectSpyTargets();
+    
+    if (!spySections.length || !('IntersectionObserver' in window)) return;
+    
+    observeSpySections();
+    
+    // Follow the header's height; window resizes where ResizeObserver is missing
+    const reobserve = debounce(observeSpySections, SPY_CONFIG.resizeDelay);
+    
+    if ('ResizeObserver' in window) {
+        new ResizeObserver(reobserve).observe(header);
     } else {
-        init();
+        window.addEventListener('resize', reobserve);
+    }
+}
+
+// Initialize header functionality for the header element (data-acta-header)
+export function init([element]) {
+    // Get DOM elements
+    header = element;
+    mobileMenuButton = header.querySelector('.mobile-menu-button');
+    mobileMenu = header.querySelector('.mobile-menu');
+    mobileMenuLinks = header.querySelectorAll('.mobile-menu a');
+    desktopNav = header.querySelector('.desktop-nav');
+    
+    // Focus trap, inert page and scroll lock while the mobile menu is open; the menu
+    // button stays usable so it can close the menu again
+    if (mobileMenu && mobileMenuButton) {
+        menuDialog = createDialog(mobileMenu, { include: [mobileMenuButton], onEscape: () => closeMobileMenu() });
+    }
+    
+    // Header mode from the header's data attributes; unknown modes fall back to reveal
+    const settings = readConfig(header, {
+        headerMode: HEADER_CONFIG.defaultMode,
+        hideVelocity: HEADER_CONFIG.defaultHideVelocity
+    });
+    headerMode = HEADER_CONFIG.modes.includes(settings.headerMode) ? settings.headerMode : HEADER_CONFIG.defaultMode;
+    hideVelocity = settings.hideVelocity;
+    applyHeaderMode();
+    onReducedMotionChange(applyHeaderMode);
+    
+    // Keyboard users tabbing into a hidden header bring it back
+    header.addEventListener('focusin', showHeader);
+    
+    // Set initial state - show header initially, then hide if not scrolled
+    html.setAttribute('data-state', 'loaded');
+    
+    // Check initial scroll position
+    handleScroll();
+    
+    // Add scroll event listener with throttling
+    window.addEventListener('scroll', throttle(handleScroll, 16), { passive: true });
+    
+    // Mobile menu event listeners
+    if (menuDialog) {
+        mobileMenuButton.addEventListener('click', toggleMobileMenu);
     }
     
-    // Expose functions for external use if needed
-    window.ACTAHeader = {
-        closeMobileMenu: closeMobileMenu,
-        openMobileMenu: openMobileMenu,
-        isMobileMenuOpen: () => isMobileMenuOpen
-    };
+    // Close mobile menu when clicking on links
+    mobileMenuLinks.forEach(link => {
+        link.addEventListener('click', handleMobileMenuLinkClick);
+    });
+    
+    // Handle window resize
+    window.addEventListener('resize', throttle(handleResize, 250));
     
-})();
+    // Initialize navigation visibility
+    updateNavigationVisibility();
+    
+    // Highlight the section being read
+    initScrollSpy();
+    
+    // Handle clicks outside mobile menu
+    document.addEventListener('click', function(e) {
+        if (!menuDialog) return;
+        
+        if (isMobileMenuOpen && 
+            !mobileMenu.contains(e.target) && 
+            !mobileMenuButton.contains(e.target)) {
+            closeMobileMenu();
+        }
+    });
+}
+
+// Expose functions for external use if needed
+window.ACTAHeader = {
+    closeMobileMenu: closeMobileMenu,
+    openMobileMenu: openMobileMenu,
+    isMobileMenuOpen: () => isMobileMenuOpen,
+    showHeader: showHeader,
+    // "reveal" or "auto-hide", after the reduced-motion preference
+    headerMode: effectiveMode,
+    isHeaderHidden: () => isHeaderHidden,
+    // The section being read (element) or null above the first one
+    currentSection: () => currentSection
+};
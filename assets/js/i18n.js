@@ -0,0 +1,279 @@
+/**
+ * ACTA Website I18n JavaScript
+ * Message catalogues (assets/i18n/<locale>.json), translation of static content marked
+ * with data-i18n, the language switcher and locale detection
+ */
+
+import { readConfig, events } from './core.js';
+
+// Classic script shared with the server; importing it defines window.ACTAMessages
+import './messages.js';
+
+// Lookup, plural forms and placeholders, also used for emails (assets/js/messages.js)
+const Messages = window.ACTAMessages;
+
+// Defaults for the data-* configuration on <html data-acta-i18n>
+const I18N_CONFIG = {
+    locales: ['en'],
+    defaultLocale: 'en',
+    catalogues: 'assets/i18n/'
+};
+
+// Names shown in the language switcher, each in its own language
+const LOCALE_NAMES = {
+    en: 'English',
+    de: 'Deutsch',
+    fr: 'Français'
+};
+
+// Storage key for a language the visitor picked
+const STORAGE_KEY = 'acta_locale';
+
+// DOM event dispatched on document whenever the locale changes
+const CHANGE_EVENT = 'acta:localechange';
+
+// Page configuration
+let locales = I18N_CONFIG.locales;
+let defaultLocale = I18N_CONFIG.defaultLocale;
+let cataloguePath = I18N_CONFIG.catalogues;
+
+// State
+let currentLocale = I18N_CONFIG.defaultLocale;
+let pluralRules = null;
+let messages = {};
+let fallbackMessages = {};
+const catalogues = new Map();
+
+// Initialize translations for the page (<html data-acta-i18n data-locales="en de fr">)
+export async function init([root]) {
+    const settings = readConfig(root, {
+        locales: I18N_CONFIG.locales,
+        defaultLocale: I18N_CONFIG.defaultLocale,
+        catalogues: I18N_CONFIG.catalogues
+    });
+    
+    defaultLocale = settings.defaultLocale;
+    locales = settings.locales.includes(defaultLocale) ? settings.locales : [defaultLocale, ...settings.locales];
+    cataloguePath = settings.catalogues.replace(/\/?$/, '/');
+    
+    initSwitchers();
+    
+    await setLocale(detectLocale());
+}
+
+// The locale in use, e.g. "de"
+export function getLocale() {
+    return currentLocale;
+}
+
+// Locales the page offers
+export function getLocales() {
+    return locales.slice();
+}
+
+// Translate a dotted message key, filling {placeholders} from params. Falls back to
+// the default locale, then to the given fallback text, then to the key itself.
+// A message with plural forms ({ "one": "…", "other": "…" }) is picked by params.count.
+export function t(key, params = {}, fallback) {
+    return Messages.translate([messages, fallbackMessages], key, params, fallback, pluralRules);
+}
+
+// Join items as a list in the current language ("analytics and marketing")
+export function formatList(items) {
+    if (typeof Intl !== 'undefined' && Intl.ListFormat) {
+        return new Intl.ListFormat(currentLocale, { type: 'conjunction' }).format(items);
+    }
+    
+    return items.join(', ');
+}
+
+// Call back with { locale } after every locale change; returns an unsubscribe function
+export function onLocaleChange(callback) {
+    return events.on('locale:change', callback);
+}
+
+// Switch the page to a supported locale and tell the other modules
+export async function setLocale(locale) {
+    const next = matchLocale(locale) || defaultLocale;
+    const [catalogue, fallback] = await Promise.all([loadCatalogue(next), loadCatalogue(defaultLocale)]);
+    
+    currentLocale = next;
+    pluralRules = typeof Intl.PluralRules === 'function' ? new Intl.PluralRules(next) : null;
+    messages = catalogue;
+    fallbackMessages = fallback;
+    
+    document.documentElement.setAttribute('lang', next);
+    translate(document);
+    syncSwitchers();
+    
+    const detail = { locale: next };
+    events.emit('locale:change', detail);
+    document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: detail }));
+    
+    console.log('Locale:', next);
+}
+
+// Set an element's text from a message key and remember the key, so the text follows
+// later locale changes. Without a key the element gets the fallback text (or none).
+export function localize(element, key, params = {}, fallback) {
+    if (!key) {
+        element.removeAttribute('data-i18n');
+        element.removeAttribute('data-i18n-params');
+        element.textContent = fallback || '';
+        return;
+    }
+    
+    element.setAttribute('data-i18n', key);
+    if (Object.keys(params).length) {
+        element.setAttribute('data-i18n-params', JSON.stringify(params));
+    } else {
+        element.removeAttribute('data-i18n-params');
+    }
+    element.textContent = t(key, params, fallback);
+}
+
+// Replace the text of [data-i18n] elements (with {placeholders} from the JSON in
+// data-i18n-params) and the attributes listed in data-i18n-attr="placeholder:key;
+// aria-label:key". Keys missing from every catalogue leave the markup as it is.
+export function translate(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const message = resolve(element.getAttribute('data-i18n'));
+        if (message !== null) {
+            element.textContent = format(message, readParams(element));
+        }
+    });
+    
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            const message = attribute && key ? resolve(key) : null;
+            
+            if (message !== null) {
+                element.setAttribute(attribute, format(message, {}));
+            }
+        });
+    });
+}
+
+// Pick the locale: a stored choice, then the browser's languages, then the default
+function detectLocale() {
+    const stored = readStoredLocale();
+    if (stored && matchLocale(stored)) {
+        return stored;
+    }
+    
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    
+    for (const tag of preferred) {
+        const match = matchLocale(tag);
+        if (match) return match;
+    }
+    
+    return defaultLocale;
+}
+
+// Match a language tag against the supported locales: exact, then by language ("de-AT" -> "de")
+function matchLocale(tag) {
+    if (!tag) return null;
+    
+    const wanted = String(tag).toLowerCase();
+    const exact = locales.find(locale => locale.toLowerCase() === wanted);
+    
+    return exact || locales.find(locale => locale.toLowerCase() === wanted.split('-')[0]) || null;
+}
+
+// Fetch a catalogue once; a missing catalogue is logged and treated as empty
+function loadCatalogue(locale) {
+    if (!catalogues.has(locale)) {
+        catalogues.set(locale, fetch(`${cataloguePath}${locale}.json`, { credentials: 'same-origin' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Catalogue ${locale} returned ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.error('Failed to load messages:', error);
+                return {};
+            }));
+    }
+    
+    return catalogues.get(locale);
+}
+
+// Pick the plural form for params.count, then fill {placeholders}
+function format(message, params) {
+    return Messages.format(message, params, pluralRules);
+}
+
+// Parameters stored on an element by localize()
+function readParams(element) {
+    try {
+        return JSON.parse(element.getAttribute('data-i18n-params') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+// A message from the current or default catalogue, or null
+function resolve(key) {
+    return Messages.resolve([messages, fallbackMessages], key);
+}
+
+// Fill every language switcher ([data-locale-switcher] containing a <select>) and show it
+function initSwitchers() {
+    document.querySelectorAll('[data-locale-switcher]').forEach(switcher => {
+        const select = switcher.querySelector('select');
+        if (!select || locales.length < 2) return;
+        
+        select.textContent = '';
+        locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = LOCALE_NAMES[locale] || locale;
+            select.appendChild(option);
+        });
+        
+        select.addEventListener('change', () => {
+            storeLocale(select.value);
+            setLocale(select.value);
+        });
+        
+        switcher.classList.remove('hidden');
+    });
+}
+
+// Show the current locale in every switcher
+function syncSwitchers() {
+    document.querySelectorAll('[data-locale-switcher] select').forEach(select => {
+        select.value = currentLocale;
+    });
+}
+
+// Remember a language the visitor picked (strictly necessary: it only serves their request)
+function storeLocale(locale) {
+    try {
+        localStorage.setItem(STORAGE_KEY, locale);
+    } catch (e) {
+        console.warn('Could not save the language choice:', e);
+    }
+}
+
+function readStoredLocale() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Expose functions for external use
+window.ACTAI18n = {
+    t: t,
+    getLocale: getLocale,
+    setLocale: locale => {
+        storeLocale(locale);
+        return setLocale(locale);
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * ACTA Website Loader JavaScript
+ * Entry point for every page. Features are switched on in the markup with data-acta-*
+ * attributes (e.g. <header data-acta-header>); each module is only fetched when a page
+ * has an element asking for it, and its init() receives those elements.
+ */
+
+import { ready } from './core.js';
+
+// Feature name (data-acta-<name>) to module
+const FEATURES = {
+    i18n: () => import('./i18n.js'),
+    header: () => import('./header.js'),
+    animate: () => import('./animate.js'),
+    'smooth-scroll': () => import('./smooth-scroll.js'),
+    consent: () => import('./consent.js'),
+    contact: () => import('./contact.js'),
+    'data-request': () => import('./data-request.js'),
+    admin: () => import('./admin.js')
+};
+
+// Load and initialize one feature; a failure is logged and the others carry on
+async function loadFeature(name, elements) {
+    try {
+        const feature = await FEATURES[name]();
+        await feature.init(elements);
+    } catch (error) {
+        console.error(`Failed to initialize ${name}:`, error);
+    }
+}
+
+// Features initialized, in order, before the rest start: translations come first so
+// the other features render in the visitor's language
+const FIRST = ['i18n'];
+
+// Elements asking for a feature
+function elementsFor(name) {
+    return Array.from(document.querySelectorAll(`[data-acta-${name}]`));
+}
+
+// Initialize every feature the page asks for
+async function init() {
+    for (const name of FIRST) {
+        const elements = elementsFor(name);
+        if (elements.length) {
+            await loadFeature(name, elements);
+        }
+    }
+    
+    Object.keys(FEATURES).filter(name => !FIRST.includes(name)).forEach(name => {
+        const elements = elementsFor(name);
+        
+        if (elements.length) {
+            loadFeature(name, elements);
+        }
+    });
+}
+
+ready(init);
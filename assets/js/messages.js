@@ -0,0 +1,79 @@
+/**
+ * ACTA Website Message Lookup
+ * Dotted-key lookup, plural forms and {placeholder} filling for the catalogues in assets/i18n/.
+ * Loaded as a browser script and required by the submission server so emails read like the page.
+ */
+
+(function(root, factory) {
+    'use strict';
+    
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ACTAMessages = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    // Plural categories a message may have (Intl.PluralRules); "other" is required
+    const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+    
+    // An object of plural forms, as opposed to a group of messages
+    function isPluralForms(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.other === 'string' &&
+            Object.keys(value).every(category => PLURAL_CATEGORIES.includes(category));
+    }
+    
+    // Look up a dotted key in a catalogue; null when it is neither a string nor plural forms there
+    function lookup(catalogue, key) {
+        const value = key.split('.').reduce((node, part) => (
+            node && typeof node === 'object' ? node[part] : undefined
+        ), catalogue);
+        
+        return typeof value === 'string' || isPluralForms(value) ? value : null;
+    }
+    
+    // The message from the first catalogue that has the key, or null
+    function resolve(catalogues, key) {
+        for (const catalogue of catalogues) {
+            const message = lookup(catalogue, key);
+            if (message !== null) return message;
+        }
+        
+        return null;
+    }
+    
+    // Pick the plural form for params.count (with an Intl.PluralRules, "other" without),
+    // then fill {placeholders}; unknown ones are left in place
+    function format(message, params = {}, pluralRules = null) {
+        if (typeof message !== 'string') {
+            const count = Number(params.count);
+            const category = pluralRules && Number.isFinite(count) ? pluralRules.select(count) : 'other';
+            message = typeof message[category] === 'string' ? message[category] : message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        ));
+    }
+    
+    // Translate a key against catalogues in lookup order, then the fallback text, then the key
+    function translate(catalogues, key, params = {}, fallback, pluralRules = null) {
+        let message = resolve(catalogues, key);
+        
+        if (message === null) {
+            message = fallback !== undefined ? fallback : key;
+        }
+        
+        return format(message, params, pluralRules);
+    }
+    
+    return {
+        PLURAL_CATEGORIES: PLURAL_CATEGORIES,
+        isPluralForms: isPluralForms,
+        lookup: lookup,
+        resolve: resolve,
+        format: format,
+        translate: translate
+    };
+});
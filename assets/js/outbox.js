@@ -0,0 +1,218 @@
+/**
+ * ACTA Website Offline Outbox JavaScript
+ * Queues failed submissions in IndexedDB and retries them with backoff
+ */
+
+// Outbox configuration
+const OUTBOX_CONFIG = {
+    dbName: 'acta',
+    dbVersion: 1,
+    storeName: 'outbox',
+    baseDelay: 5000,
+    maxDelay: 10 * 60 * 1000,
+    maxAge: 7 * 24 * 60 * 60 * 1000
+};
+
+// Result code reported through onSettled for a submission dropped after maxAge
+export const EXPIRED_CODE = 'expired';
+
+// State
+let dbPromise = null;
+let sender = null;
+let listeners = { onChange: null, onSettled: null };
+let retryTimeout;
+let isFlushing = false;
+
+// Check IndexedDB support (unavailable in some private browsing modes)
+export function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+// Open the outbox database
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_CONFIG.dbName, OUTBOX_CONFIG.dbVersion);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_CONFIG.storeName)) {
+                db.createObjectStore(OUTBOX_CONFIG.storeName, { keyPath: 'key' });
+            }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    
+    return dbPromise;
+}
+
+// Run a request against the outbox object store
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_CONFIG.storeName, mode);
+        const request = callback(transaction.objectStore(OUTBOX_CONFIG.storeName));
+        
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Read all queued records, oldest first
+async function all() {
+    const records = await withStore('readonly', store => store.getAll());
+    return (records || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Save a record
+function put(record) {
+    return withStore('readwrite', store => store.put(record));
+}
+
+// Remove a record by its idempotency key
+function remove(key) {
+    return withStore('readwrite', store => store.delete(key));
+}
+
+// Exponential backoff with jitter
+function backoffDelay(attempts) {
+    const delay = Math.min(OUTBOX_CONFIG.baseDelay * Math.pow(2, attempts), OUTBOX_CONFIG.maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Notify the page of the queued records
+async function notifyChange() {
+    if (!listeners.onChange) return;
+    
+    try {
+        const records = await all();
+        listeners.onChange(records);
+    } catch (e) {
+        console.warn('Failed to read outbox:', e);
+    }
+}
+
+// Queue a payload under its idempotency key
+export async function enqueue(key, payload) {
+    const now = Date.now();
+    
+    await put({
+        key: key,
+        payload: payload,
+        createdAt: now,
+        attempts: 0,
+        nextAttemptAt: now + backoffDelay(0)
+    });
+    
+    console.log('Submission queued in outbox:', key);
+    await notifyChange();
+    scheduleRetry();
+}
+
+// Schedule the next retry for the soonest due record. Never rejects: callers do not
+// wait for it, and an unreadable outbox is retried on the next visit or `online`.
+async function scheduleRetry() {
+    clearTimeout(retryTimeout);
+    
+    try {
+        const records = await all();
+        if (!records.length) return;
+        
+        const nextAttemptAt = Math.min(...records.map(record => record.nextAttemptAt));
+        retryTimeout = setTimeout(() => flush(), Math.max(0, nextAttemptAt - Date.now()));
+    } catch (e) {
+        console.warn('Failed to schedule outbox retry:', e);
+    }
+}
+
+// Tell the page how a queued record ended
+function settle(record, result) {
+    if (listeners.onSettled) {
+        listeners.onSettled(record, result);
+    }
+}
+
+// Try to send queued records. `force` ignores backoff (e.g. when back online)
+export async function flush(force) {
+    if (!sender || isFlushing) return;
+    if (navigator.onLine === false) return;
+    
+    isFlushing = true;
+    
+    try {
+        const records = await all();
+        const now = Date.now();
+        
+        for (const record of records) {
+            // Drop submissions that are too old to still be relevant, and tell the page
+            // so the user can send them again
+            if (now - record.createdAt > OUTBOX_CONFIG.maxAge) {
+                console.warn('Dropping expired outbox submission:', record.key);
+                await remove(record.key);
+                settle(record, { ok: false, code: EXPIRED_CODE });
+                continue;
+            }
+            
+            if (!force && record.nextAttemptAt > now) continue;
+            
+            try {
+                const result = await sender(record.payload);
+                await remove(record.key);
+                console.log('Outbox submission settled:', record.key, result);
+                settle(record, result);
+            } catch (error) {
+                record.attempts += 1;
+                record.nextAttemptAt = Date.now() + backoffDelay(record.attempts);
+                await put(record);
+                console.warn(`Outbox retry ${record.attempts} failed for ${record.key}:`, error.message);
+            }
+        }
+    } catch (e) {
+        console.warn('Outbox flush failed:', e);
+    } finally {
+        isFlushing = false;
+    }
+    
+    await notifyChange();
+    scheduleRetry();
+}
+
+// Start processing the outbox. `send` resolves when a payload is settled
+// and rejects when it should be retried later. `onSettled(record, result)` gets the
+// result, or { ok: false, code: EXPIRED_CODE } for a submission that was never sent.
+export function start(options) {
+    if (!isSupported()) {
+        console.warn('IndexedDB not available, offline outbox disabled');
+        return false;
+    }
+    
+    sender = options.send;
+    listeners = {
+        onChange: options.onChange || null,
+        onSettled: options.onSettled || null
+    };
+    
+    // Retry immediately when the connection comes back
+    window.addEventListener('online', () => flush(true));
+    
+    // Retry anything left over from a previous visit
+    notifyChange();
+    flush(true);
+    
+    return true;
+}
+
+// Number of queued submissions
+export async function count() {
+    return (await all()).length;
+}
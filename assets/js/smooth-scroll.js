@@ -1,91 +1,190 @@
 /**
  * ACTA Website Smooth Scroll JavaScript
- * Handles smooth scrolling for in-page anchor links
+ * Scroll controller for in-page links: keeps targets clear of the fixed header, waits
+ * for the scroll to end before moving focus, and handles deep links and back/forward
  */
 
-(function() {
-    'use strict';
+import { prefersReducedMotion } from './core.js';
+
+// Scroll controller configuration
+const SCROLL_CONFIG = {
+    headerSelector: '.site-header',
+    gap: 16,                 // px between the header and the target
+    settleDelay: 120,        // ms without scroll events that count as scroll end (no scrollend)
+    maxWait: 1500            // ms before giving up on scroll end
+};
+
+// Elements that take focus without a tabindex
+const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true"]';
+
+// Height of the header while it is fixed or sticky (0 otherwise, e.g. when printing).
+// Measured on every scroll so the mobile header, a wrapped nav or a resize are covered.
+function headerOffset() {
+    const header = document.querySelector(SCROLL_CONFIG.headerSelector);
     
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!header) return 0;
     
-    // If user prefers reduced motion, don't initialize smooth scrolling
-    if (prefersReducedMotion) {
-        return;
-    }
+    const position = window.getComputedStyle(header).position;
     
-    // Smooth scroll configuration
-    const scrollConfig = {
-        behavior: 'smooth',
-        block: 'start'
-    };
+    if (position !== 'fixed' && position !== 'sticky') return 0;
     
-    // Handle anchor link clicks
-    function handleAnchorClick(e) {
-        const target = e.target.closest('a[href^="#"]');
-        
-        if (!target) return;
-        
-        const href = target.getAttribute('href');
-        
-        // Skip if it's just "#" or empty
-        if (!href || href === '#') return;
-        
-        const targetElement = document.querySelector(href);
+    return header.getBoundingClientRect().height + SCROLL_CONFIG.gap;
+}
+
+// The element a hash names, or null for "#", unknown ids and malformed hashes
+function targetFor(hash) {
+    try {
+        const id = hash ? decodeURIComponent(hash.replace(/^#/, '')) : '';
+        return id ? document.getElementById(id) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolve once scrolling has stopped: scrollend where the browser has it, otherwise
+// after settleDelay without scroll events; never later than maxWait
+function waitForScrollEnd() {
+    return new Promise(resolve => {
+        let settleTimer;
+        let maxTimer;
         
-        if (!targetElement) return;
+        const finish = () => {
+            clearTimeout(settleTimer);
+            clearTimeout(maxTimer);
+            window.removeEventListener('scrollend', finish);
+            window.removeEventListener('scroll', settle);
+            resolve();
+        };
         
-        e.preventDefault();
+        const settle = () => {
+            clearTimeout(settleTimer);
+            settleTimer = setTimeout(finish, SCROLL_CONFIG.settleDelay);
+        };
         
-        // Scroll to target element
-        targetElement.scrollIntoView(scrollConfig);
+        if ('onscrollend' in window) {
+            window.addEventListener('scrollend', finish, { once: true });
+        } else {
+            window.addEventListener('scroll', settle, { passive: true });
+            settle();
+        }
         
-        // Move focus to target element after scroll
-        setTimeout(() => {
-            targetElement.focus();
-            
-            // Update URL hash without triggering scroll
-            if (history.pushState) {
-                history.pushState(null, null, href);
-            } else {
-                window.location.hash = href;
-            }
-        }, 100);
+        maxTimer = setTimeout(finish, SCROLL_CONFIG.maxWait);
+    });
+}
+
+// Move focus to the target without scrolling again. Elements that cannot take focus get
+// tabindex="-1" until they lose it, so they do not join the tab order.
+function focusTarget(target) {
+    if (!target.matches(FOCUSABLE) && !target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '-1');
+        target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
     }
     
-    // Handle keyboard navigation
-    function handleKeyboardNavigation(e) {
-        // Only handle Enter key on anchor links
-        if (e.key === 'Enter' && e.target.matches('a[href^="#"]')) {
-            handleAnchorClick(e);
+    target.focus({ preventScroll: true });
+}
+
+// Whether focus is already on something other than the page or the target, e.g. a
+// button another module focused for the same link
+function focusTaken(target) {
+    const active = document.activeElement;
+    
+    return Boolean(active) && active !== document.body && active !== document.documentElement && active !== target;
+}
+
+// Scroll a target to just below the header, then focus it. Smooth unless the visitor
+// prefers reduced motion; resolves once the target has focus. With keepFocus, focus
+// that has already moved elsewhere is left where it is.
+function scrollToTarget(target, { smooth = true, keepFocus = false } = {}) {
+    const top = Math.max(target.getBoundingClientRect().top + window.scrollY - headerOffset(), 0);
+    const animate = smooth && !prefersReducedMotion() && Math.abs(top - window.scrollY) >= 1;
+    
+    window.scrollTo({ top, behavior: animate ? 'smooth' : 'auto' });
+    
+    const scrolled = animate ? waitForScrollEnd() : Promise.resolve();
+    
+    return scrolled.then(() => {
+        if (!keepFocus || !focusTaken(target)) {
+            focusTarget(target);
         }
-    }
+    });
+}
+
+// Push the hash for a followed link (so back returns to the previous position) without
+// the browser jumping to it
+function pushHash(hash) {
+    if (location.hash === hash) return;
     
-    // Initialize smooth scrolling
-    function init() {
-        // Add click event listener to document
-        document.addEventListener('click', handleAnchorClick);
-        
-        // Add keyboard event listener for accessibility
-        document.addEventListener('keydown', handleKeyboardNavigation);
+    if (history.pushState) {
+        history.pushState(null, '', hash);
+    } else {
+        window.location.hash = hash;
     }
+}
+
+// Handle clicks on links to an element of this page, including "/#about" style links
+// from the page itself. Modified clicks (new tab, new window) are left to the browser.
+function handleAnchorClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    
+    const link = e.target.closest('a[href*="#"]');
+    
+    if (!link || link.target && link.target !== '_self') return;
+    
+    if (link.origin !== location.origin || link.pathname !== location.pathname || link.search !== location.search) return;
+    
+    const target = targetFor(link.hash);
+    
+    // Skip if it's just "#" or names nothing on this page
+    if (!target) return;
+    
+    e.preventDefault();
     
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+    pushHash(link.hash);
+    scrollToTarget(target);
+}
+
+// Back/forward between hashes: go to the entry's target, or the top without one
+function handlePopState() {
+    const target = targetFor(location.hash);
+    
+    if (target) {
+        scrollToTarget(target);
     } else {
-        init();
+        window.scrollTo({ top: 0, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
     }
+}
+
+// A deep link on load: the browser's own jump ignores the header height, so place the
+// target again without animation and give it focus. Runs again after load, when images
+// and fonts may have moved it. Neither pass takes focus from a control a module focused
+// for the link (the data request confirmation on privacy.html#data-request).
+function handleDeepLink() {
+    const target = targetFor(location.hash);
     
-    // Expose functions for external use
-    window.ACTASmoothScroll = {
-        scrollToElement: function(selector) {
-            const element = document.querySelector(selector);
-            if (element) {
-                element.scrollIntoView(scrollConfig);
-                setTimeout(() => element.focus(), 100);
-            }
-        }
-    };
+    if (!target) return;
+    
+    scrollToTarget(target, { smooth: false, keepFocus: true });
     
-})();
+    if (document.readyState !== 'complete') {
+        window.addEventListener('load', () => scrollToTarget(target, { smooth: false, keepFocus: true }), { once: true });
+    }
+}
+
+// Initialize the scroll controller (data-acta-smooth-scroll). Enter on a link fires a
+// click, so keyboard users are covered by the click listener.
+export function init() {
+    document.addEventListener('click', handleAnchorClick);
+    window.addEventListener('popstate', handlePopState);
+    
+    handleDeepLink();
+}
+
+// Expose functions for external use
+window.ACTASmoothScroll = {
+    // Scroll to an element or selector and focus it; resolves when done
+    scrollToElement: function(selector) {
+        const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
+        return element ? scrollToTarget(element) : Promise.resolve();
+    },
+    headerOffset: headerOffset
+};
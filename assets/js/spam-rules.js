@@ -0,0 +1,150 @@
+/**
+ * ACTA Website Spam Scoring
+ * Named, weighted anti-spam rules that report why they fired.
+ * Loaded as a browser script and required by the submission server so scores match.
+ */
+
+(function(root, factory) {
+    'use strict';
+    
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ACTASpamRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    // Submissions scoring at or above this are treated as spam
+    const DEFAULT_THRESHOLD = 60;
+    
+    // Phrases that are rare in genuine authority requests. Words such as "urgent"
+    // are deliberately absent: deadlines are normal in type approval work.
+    const SPAM_PHRASES = [
+        'viagra', 'cialis', 'casino', 'poker', 'lottery', 'free money', 'click here',
+        'buy now', 'act now', 'limited time', 'nigerian prince', 'lottery winner',
+        'bitcoin', 'cryptocurrency', 'seo services', 'backlinks'
+    ];
+    
+    const URL_REGEX = /\bhttps?:\/\/|\bwww\./gi;
+    const SYMBOL_REGEX = /[!@#$%^&*()_+=\[\]{}|;':",./<>?]/g;
+    
+    // Rules run in order. "test" returns a reason string when the rule fires, an
+    // array of reasons to add the weight once per reason, or null.
+    const RULES = [
+        {
+            name: 'spam_phrase',
+            weight: 20,
+            test: input => {
+                const text = `${input.message} ${input.full_name} ${input.email}`.toLowerCase();
+                return SPAM_PHRASES
+                    .filter(phrase => text.includes(phrase))
+                    .map(phrase => `Contains "${phrase}"`);
+            }
+        },
+        {
+            name: 'links',
+            weight: 20,
+            test: input => {
+                const count = (input.message.match(URL_REGEX) || []).length;
+                return count > 2 ? `Contains ${count} links` : null;
+            }
+        },
+        {
+            name: 'excessive_caps',
+            weight: 15,
+            test: input => ratio(input.message, /[A-Z]/g) > 0.3 ? 'More than 30% capital letters' : null
+        },
+        {
+            name: 'excessive_digits',
+            weight: 10,
+            test: input => ratio(input.message, /[0-9]/g) > 0.2 ? 'More than 20% digits' : null
+        },
+        {
+            name: 'excessive_symbols',
+            weight: 10,
+            test: input => ratio(input.message, SYMBOL_REGEX) > 0.1 ? 'More than 10% special characters' : null
+        },
+        {
+            name: 'short_message',
+            weight: 10,
+            test: input => input.message.length < 30 ? 'Message shorter than 30 characters' : null
+        },
+        {
+            name: 'long_message',
+            weight: 15,
+            test: input => input.message.length > 1000 ? 'Message longer than 1000 characters' : null
+        },
+        {
+            name: 'repeated_characters',
+            weight: 20,
+            test: input => /(.)\1{4,}/.test(input.message) ? 'Same character repeated 5 or more times' : null
+        },
+        {
+            name: 'fast_submission',
+            weight: 25,
+            test: input => input.form_time_spent < 3000 ? 'Form completed in under 3 seconds' : null
+        },
+        {
+            name: 'stale_submission',
+            weight: 10,
+            test: input => input.form_time_spent > 300000 ? 'Form open for more than 5 minutes' : null
+        }
+    ];
+    
+    // Share of characters in text matching a pattern
+    function ratio(text, pattern) {
+        if (!text.length) return 0;
+        return (text.match(pattern) || []).length / text.length;
+    }
+    
+    // Normalise the scored fields so rules can rely on their types
+    function normaliseInput(input) {
+        const text = value => typeof value === 'string' ? value : '';
+        
+        return {
+            message: text(input.message),
+            full_name: text(input.full_name),
+            email: text(input.email),
+            form_time_spent: Number.isFinite(input.form_time_spent) ? input.form_time_spent : 0
+        };
+    }
+    
+    // Score a submission: { score (0-100), blocked, reasons: [{ rule, weight, reason }] }
+    function score(input, options = {}) {
+        const rules = options.rules || RULES;
+        const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+        const values = normaliseInput(input || {});
+        const reasons = [];
+        
+        rules.forEach(rule => {
+            const outcome = rule.test(values);
+            const fired = Array.isArray(outcome) ? outcome : (outcome ? [outcome] : []);
+            
+            fired.forEach(reason => {
+                reasons.push({ rule: rule.name, weight: rule.weight, reason: reason });
+            });
+        });
+        
+        const total = Math.min(reasons.reduce((sum, item) => sum + item.weight, 0), 100);
+        
+        return {
+            score: total,
+            blocked: total >= threshold,
+            reasons: reasons
+        };
+    }
+    
+    // Create a scorer with its own rules and threshold
+    function createScorer(options = {}) {
+        return input => score(input, options);
+    }
+    
+    return {
+        DEFAULT_THRESHOLD: DEFAULT_THRESHOLD,
+        SPAM_PHRASES: SPAM_PHRASES,
+        RULES: RULES,
+        score: score,
+        createScorer: createScorer
+    };
+});
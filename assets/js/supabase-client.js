@@ -0,0 +1,59 @@
+/**
+ * ACTA Website Supabase Client JavaScript
+ * Creates the Supabase client from the #supabase configuration script.
+ * Used by staff pages; public forms post to the submission server instead.
+ */
+
+// Client configuration. The library is imported as an ES module (data-supabase-library
+// overrides where from) rather than waited for as a global.
+const CLIENT_CONFIG = {
+    libraryUrl: 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm',
+    placeholderUrl: 'YOUR_SUPABASE_URL',
+    placeholderKey: 'YOUR_SUPABASE_ANON_KEY'
+};
+
+// State
+let clientPromise = null;
+
+// Read the project URL and anon key from the page configuration
+function readConfig() {
+    const supabaseScript = document.getElementById('supabase');
+    
+    if (!supabaseScript) {
+        return null;
+    }
+    
+    const url = supabaseScript.getAttribute('data-supabase-url');
+    const key = supabaseScript.getAttribute('data-supabase-key');
+    
+    if (!url || !key || url === CLIENT_CONFIG.placeholderUrl || key === CLIENT_CONFIG.placeholderKey) {
+        return null;
+    }
+    
+    return { url, key, library: supabaseScript.getAttribute('data-supabase-library') || CLIENT_CONFIG.libraryUrl };
+}
+
+// Create the client once the library has loaded. The anon key only identifies
+// the project; data access is decided by the signed-in user's session.
+export function initSupabase() {
+    if (clientPromise) {
+        return clientPromise;
+    }
+    
+    clientPromise = (async () => {
+        const config = readConfig();
+        
+        if (!config) {
+            throw new Error('Supabase configuration incomplete. Please set data-supabase-url and data-supabase-key.');
+        }
+        
+        const { createClient } = await import(config.library);
+        const client = createClient(config.url, config.key, {
+            auth: { persistSession: true, autoRefreshToken: true }
+        });
+        console.log('Supabase client initialized successfully');
+        return client;
+    })();
+    
+    return clientPromise;
+}
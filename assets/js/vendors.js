@@ -0,0 +1,68 @@
+/**
+ * ACTA Website Vendor Registry
+ * Everyone who sets cookies or storage on the site, by consent category.
+ * Loaded before consent.js, which builds the per-vendor consent lists and the privacy
+ * page's cookie table from it, and required by the consent log to check vendor ids.
+ */
+
+(function(root, factory) {
+    'use strict';
+    
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ACTAVendors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    // Cookie and storage names may end in * to match any suffix (e.g. a container id).
+    // Keep this list to what the site actually loads: visitors read it on privacy.html.
+    const VENDORS = [
+        {
+            id: 'acta',
+            name: 'ACIU (this website)',
+            category: 'necessary',
+            purpose: 'Remembers your cookie choices and language, and keeps unsent contact form submissions until they can be delivered.',
+            privacyUrl: '/privacy.html',
+            cookies: [
+                { name: 'acta_consent', retention: '12 months, or 6 months after a rejection' }
+            ],
+            storage: [
+                { name: 'acta_consent', retention: '12 months, or 6 months after a rejection' },
+                { name: 'acta', retention: 'Until the submission is sent' },
+                { name: 'acta_locale', retention: 'Until you choose another language' }
+            ]
+        },
+        {
+            id: 'google-analytics',
+            name: 'Google Analytics',
+            category: 'analytics',
+            purpose: 'Measures which pages are visited and how visitors move through the site, so we can improve it.',
+            privacyUrl: 'https://policies.google.com/privacy',
+            cookies: [
+                { name: '_ga', retention: '2 years' },
+                { name: '_ga_*', retention: '2 years' },
+                { name: '_gid', retention: '24 hours' },
+                { name: '_gat*', retention: '1 minute' }
+            ],
+            storage: []
+        }
+    ];
+    
+    // Look up a vendor by id
+    function getVendor(id) {
+        return VENDORS.find(vendor => vendor.id === id) || null;
+    }
+    
+    // Vendors in a consent category
+    function vendorsIn(category) {
+        return VENDORS.filter(vendor => vendor.category === category);
+    }
+    
+    return {
+        VENDORS: VENDORS,
+        getVendor: getVendor,
+        vendorsIn: vendorsIn
+    };
+});
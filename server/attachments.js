@@ -0,0 +1,241 @@
+/**
+ * ACTA Website Attachment Uploads
+ * Validates uploaded files and holds them in a quarantine path until staff approve them.
+ * Limits and allowed types come from the "attachments" section of each form schema.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { createRateLimiter } = require('./rate-limit');
+const { RESULT_CODES, result } = require('./results');
+const { loadFormSchemas, findFormSchema } = require('./forms');
+const FormSchema = require('../assets/js/form-schema');
+
+const ATTACHMENTS_TABLE = 'attachments';
+
+const ATTACHMENT_STATUS = {
+    QUARANTINED: 'quarantined',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+// Storage prefixes; nothing under quarantine/ is handed out until approved
+const STORAGE_PATHS = {
+    quarantine: 'quarantine',
+    approved: 'approved'
+};
+
+// Leading bytes for each allowed type (DOCX and XLSX are ZIP containers)
+const FILE_SIGNATURES = {
+    pdf: Buffer.from('%PDF-'),
+    docx: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    xlsx: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+};
+
+const ATTACHMENT_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Reduce a client file name to something safe to use in a storage path
+function safeFileName(name) {
+    const base = String(name || '').split(/[\\/]/).pop();
+    const cleaned = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '');
+    return cleaned.slice(-100) || 'attachment';
+}
+
+// Check that the file contents start like the type its name claims
+function matchesSignature(type, buffer) {
+    const signature = FILE_SIGNATURES[type];
+    return Boolean(signature) && buffer.length >= signature.length &&
+        buffer.subarray(0, signature.length).equals(signature);
+}
+
+// Create the attachment upload handler
+function createAttachmentHandler({ store, storage, config, schemas = loadFormSchemas() }) {
+    const uploadLimiter = createRateLimiter({
+        limit: config.rateLimit.maxUploadsPerIp,
+        windowMs: config.rateLimit.windowMs
+    });
+    
+    setInterval(() => uploadLimiter.prune(), config.rateLimit.windowMs).unref();
+    
+    // Upload size limit for a form, used to cap the request body
+    function maxUploadBytes(formId) {
+        const schema = findFormSchema(schemas, formId);
+        return schema && schema.attachments ? schema.attachments.maxSize : 0;
+    }
+    
+    async function handleUpload({ formId, fileName, contentType, body }, { ip }) {
+        const schema = findFormSchema(schemas, formId);
+        
+        if (!schema || !schema.attachments) {
+            return result(400, RESULT_CODES.INVALID, { fields: { form: 'unknown' } });
+        }
+        
+        const file = { name: fileName, size: body.length, type: contentType };
+        const failed = FormSchema.validateAttachment(schema.attachments, file);
+        const type = FormSchema.attachmentType(schema.attachments, file);
+        
+        if (failed || !matchesSignature(type, body)) {
+            return result(400, RESULT_CODES.INVALID, {
+                fields: { [schema.attachments.name]: failed ? failed.rule : 'type' }
+            });
+        }
+        
+        const ipCheck = uploadLimiter.check(ip);
+        if (!ipCheck.allowed) {
+            return result(429, RESULT_CODES.RATE_LIMITED, { retryAfter: ipCheck.retryAfter });
+        }
+        uploadLimiter.record(ip);
+        
+        const id = crypto.randomUUID();
+        const name = safeFileName(fileName);
+        const storagePath = `${STORAGE_PATHS.quarantine}/${id}/${name}`;
+        
+        try {
+            await storage.put(storagePath, body, FormSchema.ATTACHMENT_TYPES[type].mimeType);
+            await store.insert(ATTACHMENTS_TABLE, {
+                id,
+                inquiry_id: null,
+                form_type: schema.id,
+                file_name: name,
+                content_type: FormSchema.ATTACHMENT_TYPES[type].mimeType,
+                size_bytes: body.length,
+                storage_path: storagePath,
+                status: ATTACHMENT_STATUS.QUARANTINED
+            });
+        } catch (error) {
+            console.error('Failed to store attachment:', {
+                message: error.message,
+                code: error.code
+            });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+        
+        return result(201, RESULT_CODES.ACCEPTED, {
+            attachment: { id, name, size: body.length, type }
+        });
+    }
+    
+    handleUpload.maxUploadBytes = maxUploadBytes;
+    return handleUpload;
+}
+
+// Check attachment ids sent with an inquiry; returns the rows or an error rule name
+async function findUnlinkedAttachments(store, schema, ids) {
+    if (ids === undefined || ids === null) {
+        return { rows: [] };
+    }
+    
+    if (!schema.attachments || !Array.isArray(ids) || ids.length > schema.attachments.maxFiles ||
+        !ids.every(id => typeof id === 'string' && ATTACHMENT_ID_REGEX.test(id))) {
+        return { error: 'invalid' };
+    }
+    
+    const rows = [];
+    for (const id of new Set(ids)) {
+        const [row] = await store.select(ATTACHMENTS_TABLE, { id });
+        if (!row || row.form_type !== schema.id || row.inquiry_id) {
+            return { error: 'invalid' };
+        }
+        rows.push(row);
+    }
+    
+    return { rows };
+}
+
+// Record the inquiry an upload belongs to
+function linkAttachments(store, rows, inquiryId) {
+    return Promise.all(rows.map(row => store.update(ATTACHMENTS_TABLE, { id: row.id }, { inquiry_id: inquiryId })));
+}
+
+// Staff review: approving moves a file out of quarantine, rejecting deletes it. Staff
+// use it from the inbox (admin.html) through createAttachmentReviewHandler.
+function createAttachmentReview({ store, storage }) {
+    async function load(id) {
+        const [row] = await store.select(ATTACHMENTS_TABLE, { id });
+        if (!row) {
+            throw Object.assign(new Error(`Attachment ${id} not found`), { status: 404 });
+        }
+        return row;
+    }
+    
+    return {
+        async approve(id, reviewer) {
+            const row = await load(id);
+            if (row.status !== ATTACHMENT_STATUS.QUARANTINED) return row;
+            
+            const approvedPath = `${STORAGE_PATHS.approved}/${row.id}/${row.file_name}`;
+            await storage.move(row.storage_path, approvedPath);
+            
+            const [updated] = await store.update(ATTACHMENTS_TABLE, { id }, {
+                status: ATTACHMENT_STATUS.APPROVED,
+                storage_path: approvedPath,
+                reviewed_by: reviewer || null,
+                reviewed_at: new Date().toISOString()
+            });
+            return updated;
+        },
+        
+        async reject(id, reviewer) {
+            const row = await load(id);
+            if (row.status === ATTACHMENT_STATUS.REJECTED) return row;
+            
+            await storage.remove(row.storage_path);
+            
+            const [updated] = await store.update(ATTACHMENTS_TABLE, { id }, {
+                status: ATTACHMENT_STATUS.REJECTED,
+                reviewed_by: reviewer || null,
+                reviewed_at: new Date().toISOString()
+            });
+            return updated;
+        }
+    };
+}
+
+// Review actions staff may take from the inbox
+const REVIEW_ACTIONS = ['approve', 'reject'];
+
+// Create the handler for POST /api/attachments/review: { id, action } from a signed-in
+// staff member, whose email is recorded as the reviewer
+function createAttachmentReviewHandler({ store, storage, authenticateStaff }) {
+    const review = createAttachmentReview({ store, storage });
+    
+    return async function handleReview(payload, { authorization }) {
+        const member = await authenticateStaff(authorization);
+        
+        if (!member) {
+            return result(403, RESULT_CODES.FORBIDDEN);
+        }
+        
+        const { id, action } = payload || {};
+        
+        if (typeof id !== 'string' || !ATTACHMENT_ID_REGEX.test(id) || !REVIEW_ACTIONS.includes(action)) {
+            return result(400, RESULT_CODES.INVALID);
+        }
+        
+        let row;
+        try {
+            row = await review[action](id, member.email);
+        } catch (error) {
+            if (error.status === 404) {
+                return result(404, RESULT_CODES.INVALID);
+            }
+            throw error;
+        }
+        
+        return result(200, RESULT_CODES.ACCEPTED, {
+            attachment: { id: row.id, status: row.status, storage_path: row.storage_path }
+        });
+    };
+}
+
+module.exports = {
+    ATTACHMENTS_TABLE,
+    ATTACHMENT_STATUS,
+    createAttachmentHandler,
+    createAttachmentReview,
+    createAttachmentReviewHandler,
+    findUnlinkedAttachments,
+    linkAttachments
+};
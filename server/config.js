@@ -0,0 +1,91 @@
+/**
+ * ACTA Website Server Configuration
+ * Reads submission server settings from environment variables
+ */
+
+'use strict';
+
+const { DEFAULT_THRESHOLD } = require('../assets/js/spam-rules');
+
+// Read an integer environment variable with a fallback
+function readInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// Read a comma-separated environment variable as a list
+function readList(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    port: readInt('PORT', 8787),
+    
+    // Supabase project (service role key never leaves the server)
+    supabaseUrl: process.env.SUPABASE_URL || '',
+    supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+    
+    // Local stand-in store used when Supabase is not configured
+    dataDir: process.env.DATA_DIR || '.data',
+    
+    // Storage bucket for inquiry attachments
+    storageBucket: process.env.STORAGE_BUCKET || 'inquiry-attachments',
+    
+    // Origins allowed to post to the API (empty = same origin only)
+    allowedOrigins: readList('ALLOWED_ORIGINS'),
+    
+    // Read the client IP from X-Forwarded-For when behind a proxy
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    
+    // Maximum accepted JSON body size in bytes
+    maxBodyBytes: readInt('MAX_BODY_BYTES', 64 * 1024),
+    
+    rateLimit: {
+        windowMs: readInt('RATE_LIMIT_WINDOW_MS', 60 * 60 * 1000),
+        maxPerIp: readInt('RATE_LIMIT_PER_IP', 5),
+        maxPerEmail: readInt('RATE_LIMIT_PER_EMAIL', 3),
+        maxUploadsPerIp: readInt('RATE_LIMIT_UPLOADS_PER_IP', 15),
+        maxConsentPerIp: readInt('RATE_LIMIT_CONSENT_PER_IP', 30)
+    },
+    
+    // Public site address, used for links in notification emails
+    siteUrl: (process.env.SITE_URL || '').replace(/\/+$/, ''),
+    
+    // Email notifications (MAIL_TRANSPORT: console, file or smtp)
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console',
+        from: process.env.MAIL_FROM || 'ACIU <no-reply@acta-approval.com.mt>',
+        teamAddress: process.env.MAIL_TEAM_ADDRESS || 'contact@acta-approval.com.mt',
+        sendAcknowledgement: process.env.MAIL_ACKNOWLEDGE !== 'false',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: readInt('SMTP_PORT', 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            password: process.env.SMTP_PASSWORD || '',
+            timeout: readInt('SMTP_TIMEOUT_MS', 30000)
+        }
+    },
+    
+    // Data subject requests from privacy.html (access and erasure)
+    dataRequests: {
+        linkTtlMs: readInt('DSAR_LINK_TTL_MINUTES', 60) * 60 * 1000,
+        responseDays: readInt('DSAR_RESPONSE_DAYS', 30),
+        maxPerIp: readInt('DSAR_RATE_LIMIT_PER_IP', 5),
+        maxPerEmail: readInt('DSAR_RATE_LIMIT_PER_EMAIL', 3)
+    },
+    
+    // Retention periods applied by server/retention.js (see the privacy policy)
+    retention: {
+        technicalDataDays: readInt('RETENTION_TECHNICAL_DAYS', 365),
+        anonymiseAfterDays: readInt('RETENTION_ANONYMISE_DAYS', 730),
+        spamAfterDays: readInt('RETENTION_SPAM_DAYS', 30),
+        unlinkedAttachmentHours: readInt('RETENTION_UNLINKED_ATTACHMENT_HOURS', 24)
+    },
+    
+    // Submissions scoring at or above this are rejected as spam
+    spamBlockThreshold: readInt('SPAM_BLOCK_THRESHOLD', DEFAULT_THRESHOLD)
+};
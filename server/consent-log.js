@@ -0,0 +1,123 @@
+/**
+ * ACTA Website Consent Log
+ * Stores proof-of-consent records sent by assets/js/consent.js: what a visitor agreed
+ * to, when, how, and under which policy and banner version. No IP address is kept.
+ */
+
+'use strict';
+
+const Vendors = require('../assets/js/vendors');
+const { createRateLimiter } = require('./rate-limit');
+const { RESULT_CODES, result } = require('./results');
+
+const CONSENT_LOG_TABLE = 'consent_log';
+
+const CONSENT_RULES = {
+    consentIdRegex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    versionRegex: /^[A-Za-z0-9._-]{1,32}$/,
+    methods: ['accept_all', 'reject', 'custom'],
+    privacySignals: ['gpc', 'dnt'],
+    categories: ['analytics', 'marketing']
+};
+
+// Validate a consent record and map it to a consent_log row
+function toConsentRow(record) {
+    const errors = {};
+    
+    if (typeof record.consentId !== 'string' || !CONSENT_RULES.consentIdRegex.test(record.consentId)) {
+        errors.consentId = 'invalid';
+    }
+    if (Number.isNaN(Date.parse(record.timestamp))) {
+        errors.timestamp = 'invalid';
+    }
+    ['policyVersion', 'bannerVersion'].forEach(name => {
+        if (typeof record[name] !== 'string' || !CONSENT_RULES.versionRegex.test(record[name])) {
+            errors[name] = 'invalid';
+        }
+    });
+    if (!CONSENT_RULES.methods.includes(record.method)) {
+        errors.method = 'invalid';
+    }
+    CONSENT_RULES.categories.forEach(name => {
+        if (typeof record[name] !== 'boolean') {
+            errors[name] = 'invalid';
+        }
+    });
+    
+    // Browser privacy signal honoured when the choice was made (GPC or DNT)
+    const signal = record.privacySignal && typeof record.privacySignal === 'object' ? record.privacySignal.honoured : null;
+    if (signal !== null && signal !== undefined && !CONSENT_RULES.privacySignals.includes(signal)) {
+        errors.privacySignal = 'invalid';
+    }
+    
+    // Per-vendor choices, keyed by the vendor ids in assets/js/vendors.js
+    const vendors = record.vendors === undefined || record.vendors === null ? null : record.vendors;
+    if (vendors !== null && (typeof vendors !== 'object' || Array.isArray(vendors) ||
+        Object.keys(vendors).some(id => !Vendors.getVendor(id) || typeof vendors[id] !== 'boolean'))) {
+        errors.vendors = 'invalid';
+    }
+    
+    if (Object.keys(errors).length) {
+        return { errors };
+    }
+    
+    return {
+        row: {
+            consent_id: record.consentId,
+            consented_at: new Date(record.timestamp).toISOString(),
+            policy_version: record.policyVersion,
+            banner_version: record.bannerVersion,
+            method: record.method,
+            necessary: true,
+            analytics: record.analytics,
+            marketing: record.marketing,
+            privacy_signal: signal || null,
+            vendors: vendors
+        }
+    };
+}
+
+// Create the consent log handler
+function createConsentLogHandler({ store, config }) {
+    const ipLimiter = createRateLimiter({
+        limit: config.rateLimit.maxConsentPerIp,
+        windowMs: config.rateLimit.windowMs
+    });
+    
+    setInterval(() => ipLimiter.prune(), config.rateLimit.windowMs).unref();
+    
+    return async function handleConsent(payload, { ip }) {
+        if (!payload || typeof payload !== 'object') {
+            return result(400, RESULT_CODES.INVALID, { fields: {} });
+        }
+        
+        const { row, errors } = toConsentRow(payload);
+        
+        if (errors) {
+            return result(400, RESULT_CODES.INVALID, { fields: errors });
+        }
+        
+        const ipCheck = ipLimiter.check(ip);
+        if (!ipCheck.allowed) {
+            return result(429, RESULT_CODES.RATE_LIMITED, { retryAfter: ipCheck.retryAfter });
+        }
+        ipLimiter.record(ip);
+        
+        try {
+            await store.insert(CONSENT_LOG_TABLE, row);
+            return result(201, RESULT_CODES.ACCEPTED);
+        } catch (error) {
+            // The same record sent twice (beacon retried) is already logged
+            if (error.code === '23505') {
+                return result(200, RESULT_CODES.ACCEPTED, { duplicate: true });
+            }
+            
+            console.error('Failed to log consent:', { message: error.message, code: error.code });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+    };
+}
+
+module.exports = {
+    createConsentLogHandler
+};
@@ -0,0 +1,349 @@
+/**
+ * ACTA Website Data Subject Requests
+ * GDPR access and erasure requests from privacy.html. The requester proves they own
+ * the email address with a one-time link, and every step is written to an audit table.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { createRateLimiter } = require('./rate-limit');
+const { RESULT_CODES, result } = require('./results');
+const { loadFormSchemas } = require('./forms');
+const { ATTACHMENTS_TABLE } = require('./attachments');
+const { SIGNATURE } = require('./notifications');
+const FormSchema = require('../assets/js/form-schema');
+
+const DATA_REQUESTS_TABLE = 'data_requests';
+const DATA_REQUEST_EVENTS_TABLE = 'data_request_events';
+
+const REQUEST_TYPES = {
+    ACCESS: 'access',
+    ERASURE: 'erasure'
+};
+
+const REQUEST_STATUS = {
+    PENDING: 'pending_verification',
+    VERIFIED: 'verified',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Request form, validated with the same engine as the inquiry forms
+const REQUEST_SCHEMA = {
+    id: 'data-request',
+    fields: [
+        {
+            name: 'email',
+            type: 'email',
+            validators: [{ rule: 'required' }, { rule: 'email' }, { rule: 'maxLength', value: 254 }]
+        },
+        {
+            name: 'request_type',
+            type: 'radio',
+            validators: [{ rule: 'required' }, { rule: 'oneOf', value: Object.values(REQUEST_TYPES) }]
+        }
+    ]
+};
+
+// Verification code from the emailed link: "<request id>.<token>"
+const VERIFICATION_CODE_REGEX = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.([A-Za-z0-9_-]{43})$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only a hash of the token is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Compare a token with a stored hash in constant time
+function tokenMatches(token, storedHash) {
+    const expected = Buffer.from(storedHash || '', 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Tables that hold inquiries, from the form schemas
+function inquiryTables(schemas) {
+    return Array.from(new Set(Object.values(schemas).map(schema => schema.table)));
+}
+
+// Email asking the requester to confirm the request
+function verificationEmail(request, link, linkTtlMs) {
+    const action = request.request_type === REQUEST_TYPES.ERASURE
+        ? 'erase the personal data we hold about you'
+        : 'send you a copy of the personal data we hold about you';
+    const minutes = Math.round(linkTtlMs / 60000);
+    
+    return {
+        subject: 'Confirm your data protection request',
+        text: [
+            'Hello,',
+            '',
+            `We received a request to ${action}. To confirm that this email address is yours, open the link below and confirm the request:`,
+            '',
+            link,
+            '',
+            `The link works once and expires in ${minutes} minutes. If you did not make this request, you can ignore this email and nothing will happen.`,
+            '',
+            SIGNATURE
+        ].join('\n')
+    };
+}
+
+// Team notice for a completed or failed request, with the response deadline
+function teamNotice(request, outcome) {
+    return {
+        subject: `Data ${request.request_type} request ${request.status === REQUEST_STATUS.COMPLETED ? 'completed' : 'needs attention'}`,
+        text: [
+            `Request: ${request.id}`,
+            `Type: ${request.request_type}`,
+            `Email: ${request.email}`,
+            `Received: ${request.created_at}`,
+            `Respond by: ${request.due_at}`,
+            `Status: ${request.status}`,
+            '',
+            outcome
+        ].join('\n')
+    };
+}
+
+// Create the data subject request handlers
+function createDataRequestHandler({ store, storage, transport, config, schemas = loadFormSchemas() }) {
+    const settings = config.dataRequests;
+    const tables = inquiryTables(schemas);
+    const ipLimiter = createRateLimiter({ limit: settings.maxPerIp, windowMs: config.rateLimit.windowMs });
+    const emailLimiter = createRateLimiter({ limit: settings.maxPerEmail, windowMs: config.rateLimit.windowMs });
+    
+    setInterval(() => {
+        ipLimiter.prune();
+        emailLimiter.prune();
+    }, config.rateLimit.windowMs).unref();
+    
+    if (!config.siteUrl) {
+        console.warn('SITE_URL is not set; data request verification links will be relative');
+    }
+    
+    // Append to the audit trail; a failed write is logged but does not stop the request
+    async function audit(requestId, event, { ip, detail } = {}) {
+        try {
+            await store.insert(DATA_REQUEST_EVENTS_TABLE, {
+                request_id: requestId,
+                event,
+                ip: ip || null,
+                detail: detail || null,
+                created_at: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to write data request audit event:', { requestId, event, message: error.message });
+        }
+    }
+    
+    async function sendMail(message, requestId) {
+        try {
+            await transport.send({ from: config.mail.from, ...message });
+        } catch (error) {
+            console.error('Failed to send data request email:', { requestId, transport: transport.name, message: error.message });
+        }
+    }
+    
+    // Every inquiry submitted with the email address, and their attachments
+    async function findPersonalData(email) {
+        const inquiries = [];
+        
+        for (const table of tables) {
+            const rows = await store.select(table, { email: { ilike: email } });
+            inquiries.push(...rows.map(row => ({ table, row })));
+        }
+        
+        const attachments = [];
+        for (const { row } of inquiries) {
+            attachments.push(...await store.select(ATTACHMENTS_TABLE, { inquiry_id: row.id }));
+        }
+        
+        return { inquiries, attachments };
+    }
+    
+    // Export: the stored rows as they are, minus file locations
+    async function exportData(request) {
+        const { inquiries, attachments } = await findPersonalData(request.email);
+        
+        return {
+            summary: `Exported ${inquiries.length} inquiries and ${attachments.length} attachments.`,
+            body: {
+                export: {
+                    generated_at: new Date().toISOString(),
+                    request: { id: request.id, type: request.request_type, email: request.email, received_at: request.created_at },
+                    inquiries: inquiries.map(item => item.row),
+                    attachments: attachments.map(({ storage_path, ...attachment }) => attachment)
+                }
+            },
+            detail: { inquiries: inquiries.length, attachments: attachments.length }
+        };
+    }
+    
+    // Erasure: stored files first, then attachment and inquiry rows
+    async function eraseData(request) {
+        const { inquiries, attachments } = await findPersonalData(request.email);
+        
+        for (const attachment of attachments) {
+            await storage.remove(attachment.storage_path);
+            await store.remove(ATTACHMENTS_TABLE, { id: attachment.id });
+        }
+        
+        for (const { table, row } of inquiries) {
+            await store.remove(table, { id: row.id });
+        }
+        
+        return {
+            summary: `Erased ${inquiries.length} inquiries and ${attachments.length} attachments.`,
+            body: { erased: { inquiries: inquiries.length, attachments: attachments.length } },
+            detail: { inquiries: inquiries.length, attachments: attachments.length }
+        };
+    }
+    
+    // Step 1: record the request and email a verification link
+    async function handleRequest(payload, { ip, userAgent }) {
+        if (!payload || typeof payload !== 'object') {
+            return result(400, RESULT_CODES.INVALID, { fields: {} });
+        }
+        
+        const values = FormSchema.normaliseValues(REQUEST_SCHEMA, payload);
+        const errors = FormSchema.validate(REQUEST_SCHEMA, values);
+        
+        if (Object.keys(errors).length) {
+            return result(400, RESULT_CODES.INVALID, { fields: errors });
+        }
+        
+        // Bots filling the honeypot get the same answer as everyone else
+        if (typeof payload.website_url === 'string' && payload.website_url.trim() !== '') {
+            console.log('Data request honeypot filled:', { ip });
+            return result(202, RESULT_CODES.ACCEPTED);
+        }
+        
+        const emailKey = values.email.toLowerCase();
+        const ipCheck = ipLimiter.check(ip);
+        const emailCheck = emailLimiter.check(emailKey);
+        
+        if (!ipCheck.allowed || !emailCheck.allowed) {
+            return result(429, RESULT_CODES.RATE_LIMITED, {
+                retryAfter: Math.max(ipCheck.retryAfter || 0, emailCheck.retryAfter || 0)
+            });
+        }
+        
+        ipLimiter.record(ip);
+        emailLimiter.record(emailKey);
+        
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        
+        try {
+            const request = await store.insert(DATA_REQUESTS_TABLE, {
+                email: values.email,
+                request_type: values.request_type,
+                status: REQUEST_STATUS.PENDING,
+                token_hash: hashToken(token),
+                token_expires_at: new Date(now + settings.linkTtlMs).toISOString(),
+                created_at: new Date(now).toISOString(),
+                due_at: new Date(now + settings.responseDays * DAY_MS).toISOString(),
+                ip: ip || null,
+                user_agent: userAgent || null
+            });
+            
+            await audit(request.id, 'requested', { ip, detail: { type: request.request_type } });
+            
+            const link = `${config.siteUrl}/privacy.html?data-request=${request.id}.${token}#data-request`;
+            await sendMail({ to: request.email, ...verificationEmail(request, link, settings.linkTtlMs) }, request.id);
+            
+            // The answer is the same whether or not we hold data for the address
+            return result(202, RESULT_CODES.ACCEPTED);
+        } catch (error) {
+            console.error('Failed to store data request:', { message: error.message, code: error.code });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+    }
+    
+    // Step 2: the requester confirms from the emailed link; the link works once
+    async function handleVerify(payload, { ip }) {
+        const match = VERIFICATION_CODE_REGEX.exec(payload && typeof payload.code === 'string' ? payload.code.trim() : '');
+        
+        if (!match) {
+            return result(400, RESULT_CODES.INVALID, { reason: 'invalid_link' });
+        }
+        
+        const [, id, token] = match;
+        let request;
+        
+        try {
+            [request] = await store.select(DATA_REQUESTS_TABLE, { id });
+        } catch (error) {
+            console.error('Failed to load data request:', { id, message: error.message });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+        
+        if (!request || !tokenMatches(token, request.token_hash)) {
+            return result(400, RESULT_CODES.INVALID, { reason: 'invalid_link' });
+        }
+        
+        if (request.status !== REQUEST_STATUS.PENDING) {
+            return result(400, RESULT_CODES.INVALID, { reason: 'used_link' });
+        }
+        
+        if (Date.parse(request.token_expires_at) < Date.now()) {
+            await audit(request.id, 'link_expired', { ip });
+            return result(400, RESULT_CODES.INVALID, { reason: 'expired_link' });
+        }
+        
+        try {
+            // Claim the request; a second click finds nothing left to update
+            const [verified] = await store.update(DATA_REQUESTS_TABLE, { id, status: REQUEST_STATUS.PENDING }, {
+                status: REQUEST_STATUS.VERIFIED,
+                verified_at: new Date().toISOString()
+            });
+            
+            if (!verified) {
+                return result(400, RESULT_CODES.INVALID, { reason: 'used_link' });
+            }
+            
+            request = verified;
+            await audit(request.id, 'verified', { ip });
+        } catch (error) {
+            console.error('Failed to verify data request:', { id, message: error.message });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+        
+        const isErasure = request.request_type === REQUEST_TYPES.ERASURE;
+        
+        try {
+            const outcome = isErasure ? await eraseData(request) : await exportData(request);
+            const [completed] = await store.update(DATA_REQUESTS_TABLE, { id }, {
+                status: REQUEST_STATUS.COMPLETED,
+                completed_at: new Date().toISOString()
+            });
+            
+            await audit(request.id, isErasure ? 'erased' : 'exported', { ip, detail: outcome.detail });
+            await sendMail({ to: config.mail.teamAddress, ...teamNotice(completed || request, outcome.summary) }, request.id);
+            
+            return result(200, RESULT_CODES.ACCEPTED, { type: request.request_type, ...outcome.body });
+        } catch (error) {
+            // Marked failed so staff can finish it by hand before the deadline
+            console.error('Failed to complete data request:', { id, message: error.message });
+            const [failed] = await store.update(DATA_REQUESTS_TABLE, { id }, { status: REQUEST_STATUS.FAILED }).catch(() => []);
+            await audit(request.id, 'failed', { ip, detail: { message: error.message } });
+            await sendMail({ to: config.mail.teamAddress, ...teamNotice(failed || request, `Processing failed: ${error.message}`) }, request.id);
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+    }
+    
+    return {
+        handleRequest,
+        handleVerify
+    };
+}
+
+module.exports = {
+    REQUEST_STATUS,
+    REQUEST_TYPES,
+    createDataRequestHandler
+};
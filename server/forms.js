@@ -0,0 +1,50 @@
+/**
+ * ACTA Website Form Schemas (server)
+ * Loads the JSON form schemas shared with the browser from assets/forms/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMS_DIR = path.resolve(__dirname, '..', 'assets', 'forms');
+
+// Default schema for submissions that do not name a form
+const DEFAULT_FORM_ID = 'contact';
+
+// Load every schema in the forms directory, keyed by schema id
+function loadFormSchemas(dir = FORMS_DIR) {
+    const schemas = {};
+    
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            
+            if (!schema.id || !schema.table || !Array.isArray(schema.fields)) {
+                throw new Error(`Form schema ${file} needs an "id", a "table" and a "fields" list`);
+            }
+            
+            if (schemas[schema.id]) {
+                throw new Error(`Duplicate form schema id "${schema.id}" in ${file}`);
+            }
+            
+            schemas[schema.id] = schema;
+        });
+    
+    return schemas;
+}
+
+// The schema a submission names (the default without one), or null. Only the loaded
+// ids count, not keys such as "constructor" that every object has.
+function findFormSchema(schemas, formId) {
+    const id = formId || DEFAULT_FORM_ID;
+    return Object.prototype.hasOwnProperty.call(schemas, id) ? schemas[id] : null;
+}
+
+module.exports = {
+    DEFAULT_FORM_ID,
+    loadFormSchemas,
+    findFormSchema
+};
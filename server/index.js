@@ -0,0 +1,306 @@
+/**
+ * ACTA Website Submission Server
+ * Serves the contact form and attachment APIs and, for local development, the static site
+ *
+ * Usage: node server/index.js
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const { createStore } = require('./store');
+const { createStorage } = require('./storage');
+const { createInquiryHandler, RESULT_CODES } = require('./inquiries');
+const { createAttachmentHandler, createAttachmentReviewHandler } = require('./attachments');
+const { createStaffAuth } = require('./staff');
+const { createMailTransport } = require('./mail');
+const { createNotifier } = require('./notifications');
+const { createDataRequestHandler } = require('./data-requests');
+const { createConsentLogHandler } = require('./consent-log');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+// Static files the local server refuses to expose
+const PRIVATE_PATHS = ['server', 'sql', 'test', 'node_modules'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+// Send a JSON response
+function sendJson(res, status, body, headers) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+// Resolve the client IP address
+function getClientIp(req) {
+    if (config.trustProxy) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+    }
+    
+    return req.socket.remoteAddress;
+}
+
+// Apply CORS headers for allowed cross-origin callers
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    
+    if (origin && config.allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-File-Name, Authorization');
+        res.setHeader('Vary', 'Origin');
+    }
+}
+
+// Read a request body up to a size limit
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Read and parse a JSON request body
+async function readJsonBody(req) {
+    const body = await readBody(req, config.maxBodyBytes);
+    
+    try {
+        return JSON.parse(body.toString('utf8') || 'null');
+    } catch (e) {
+        throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+}
+
+// Decode a percent-encoded header value; a malformed one is the client's error
+function decodeHeader(value) {
+    try {
+        return decodeURIComponent(value || '');
+    } catch (e) {
+        throw Object.assign(new Error('Malformed header encoding'), { status: 400 });
+    }
+}
+
+// Send a handler result, with Retry-After for rate limited requests
+function sendResult(res, { status, body }) {
+    const headers = body.retryAfter ? { 'Retry-After': String(body.retryAfter) } : undefined;
+    sendJson(res, status, body, headers);
+}
+
+// Answer a failed API request
+function sendFailure(res, error, label) {
+    const status = error.status || 500;
+    const code = status === 500 ? RESULT_CODES.SERVER_ERROR : RESULT_CODES.INVALID;
+    console.error(`${label} request failed:`, error.message);
+    sendJson(res, status, { ok: false, code });
+}
+
+// Handle CORS preflight and reject anything but POST; returns true when answered
+function answerNonPost(req, res) {
+    applyCors(req, res);
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return true;
+    }
+    
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { ok: false, code: RESULT_CODES.INVALID }, { Allow: 'POST, OPTIONS' });
+        return true;
+    }
+    
+    return false;
+}
+
+// Serve a static file from the site root (local development only)
+function serveStatic(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let relativePath;
+    
+    try {
+        relativePath = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    
+    if (!relativePath || relativePath.endsWith('/')) {
+        relativePath += 'index.html';
+    }
+    
+    const filePath = path.resolve(SITE_ROOT, relativePath);
+    const firstSegment = relativePath.split('/')[0];
+    
+    if (!filePath.startsWith(SITE_ROOT + path.sep) ||
+        firstSegment.startsWith('.') ||
+        PRIVATE_PATHS.includes(firstSegment)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(contents);
+    });
+}
+
+// Create the HTTP server
+function createServer() {
+    const store = createStore(config);
+    const storage = createStorage(config);
+    const transport = createMailTransport(config);
+    const notify = createNotifier({ transport, config });
+    const handleInquiry = createInquiryHandler({ store, config, notify });
+    const handleUpload = createAttachmentHandler({ store, storage, config });
+    const authenticateStaff = createStaffAuth(config, { store });
+    const handleReview = createAttachmentReviewHandler({ store, storage, authenticateStaff });
+    const dataRequests = createDataRequestHandler({ store, storage, transport, config });
+    const handleConsent = createConsentLogHandler({ store, config });
+    
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const { pathname } = url;
+        
+        if (pathname === '/api/inquiries') {
+            if (answerNonPost(req, res)) return;
+            
+            try {
+                const payload = await readJsonBody(req);
+                sendResult(res, await handleInquiry(payload, {
+                    ip: getClientIp(req),
+                    userAgent: req.headers['user-agent']
+                }));
+            } catch (error) {
+                sendFailure(res, error, 'Inquiry');
+            }
+            return;
+        }
+        
+        // Raw file body; the form id is a query parameter and the name a header
+        if (pathname === '/api/attachments') {
+            if (answerNonPost(req, res)) return;
+            
+            const formId = url.searchParams.get('form');
+            
+            try {
+                const body = await readBody(req, handleUpload.maxUploadBytes(formId));
+                sendResult(res, await handleUpload({
+                    formId,
+                    fileName: decodeHeader(req.headers['x-file-name']),
+                    contentType: req.headers['content-type'] || '',
+                    body
+                }, {
+                    ip: getClientIp(req)
+                }));
+            } catch (error) {
+                sendFailure(res, error, 'Attachment');
+            }
+            return;
+        }
+        
+        // Staff approve or reject a quarantined attachment from the inbox
+        if (pathname === '/api/attachments/review') {
+            if (answerNonPost(req, res)) return;
+            
+            try {
+                const payload = await readJsonBody(req);
+                sendResult(res, await handleReview(payload, { authorization: req.headers.authorization }));
+            } catch (error) {
+                sendFailure(res, error, 'Attachment review');
+            }
+            return;
+        }
+        
+        // Proof-of-consent records from the cookie banner
+        if (pathname === '/api/consent') {
+            if (answerNonPost(req, res)) return;
+            
+            try {
+                const payload = await readJsonBody(req);
+                sendResult(res, await handleConsent(payload, { ip: getClientIp(req) }));
+            } catch (error) {
+                sendFailure(res, error, 'Consent');
+            }
+            return;
+        }
+        
+        // Data subject requests: /api/data-requests records one, /verify confirms it
+        if (pathname === '/api/data-requests' || pathname === '/api/data-requests/verify') {
+            if (answerNonPost(req, res)) return;
+            
+            const handle = pathname.endsWith('/verify') ? dataRequests.handleVerify : dataRequests.handleRequest;
+            
+            try {
+                const payload = await readJsonBody(req);
+                sendResult(res, await handle(payload, {
+                    ip: getClientIp(req),
+                    userAgent: req.headers['user-agent']
+                }));
+            } catch (error) {
+                sendFailure(res, error, 'Data request');
+            }
+            return;
+        }
+        
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res);
+            return;
+        }
+        
+        res.writeHead(405);
+        res.end();
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(config.port, () => {
+        console.log(`ACTA submission server listening on http://localhost:${config.port}`);
+    });
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,193 @@
+/**
+ * ACTA Website Inquiry Submission Handler
+ * Validates, rate limits and spam-scores form submissions before storing them.
+ * Fields and validation rules come from the JSON schemas in assets/forms/.
+ */
+
+'use strict';
+
+const { createRateLimiter } = require('./rate-limit');
+const { RESULT_CODES, result } = require('./results');
+const { loadFormSchemas, findFormSchema } = require('./forms');
+const { findUnlinkedAttachments, linkAttachments } = require('./attachments');
+const { createReference } = require('./notifications');
+const { loadCatalogues, matchLocale } = require('./locales');
+const FormSchema = require('../assets/js/form-schema');
+const SpamRules = require('../assets/js/spam-rules');
+
+const INQUIRY_RULES = {
+    idempotencyKeyRegex: /^[A-Za-z0-9-]{8,64}$/
+};
+
+// Read a trimmed string field from the payload
+function readText(payload, name) {
+    const value = payload[name];
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Normalise and validate the submitted payload against its form schema. The locale the
+// form was filled in decides the language of the replies; an unknown one gets the default.
+function normaliseInquiry(schema, payload, catalogues) {
+    const values = FormSchema.normaliseValues(schema, payload);
+    const errors = FormSchema.validate(schema, values);
+    const meta = {
+        form_time_spent: Number.isFinite(payload.form_time_spent) ? Math.max(0, Math.round(payload.form_time_spent)) : 0,
+        idempotency_key: readText(payload, 'idempotency_key') || null,
+        locale: matchLocale(catalogues, readText(payload, 'locale'))
+    };
+    
+    if (meta.idempotency_key && !INQUIRY_RULES.idempotencyKeyRegex.test(meta.idempotency_key)) {
+        errors.idempotency_key = 'invalid';
+    }
+    
+    return { values, meta, errors };
+}
+
+// Find an inquiry already stored under an idempotency key
+async function findDuplicate(store, table, idempotencyKey) {
+    if (!idempotencyKey) return null;
+    
+    const rows = await store.select(table, { idempotency_key: idempotencyKey });
+    return rows.length ? rows[0] : null;
+}
+
+// Create the inquiry submission handler
+function createInquiryHandler({ store, config, notify, schemas = loadFormSchemas(), catalogues = loadCatalogues() }) {
+    const ipLimiter = createRateLimiter({
+        limit: config.rateLimit.maxPerIp,
+        windowMs: config.rateLimit.windowMs
+    });
+    const emailLimiter = createRateLimiter({
+        limit: config.rateLimit.maxPerEmail,
+        windowMs: config.rateLimit.windowMs
+    });
+    
+    // Keep limiter memory bounded on long-running servers
+    setInterval(() => {
+        ipLimiter.prune();
+        emailLimiter.prune();
+    }, config.rateLimit.windowMs).unref();
+    
+    return async function handleInquiry(payload, { ip, userAgent }) {
+        if (!payload || typeof payload !== 'object') {
+            return result(400, RESULT_CODES.INVALID, { fields: {} });
+        }
+        
+        const schema = findFormSchema(schemas, readText(payload, 'form'));
+        
+        if (!schema) {
+            return result(400, RESULT_CODES.INVALID, { fields: { form: 'unknown' } });
+        }
+        
+        const { values, meta, errors } = normaliseInquiry(schema, payload, catalogues);
+        
+        if (Object.keys(errors).length) {
+            return result(400, RESULT_CODES.INVALID, { fields: errors });
+        }
+        
+        // A retried submission that was already stored is accepted again without a new row
+        try {
+            const duplicate = await findDuplicate(store, schema.table, meta.idempotency_key);
+            if (duplicate) {
+                return result(200, RESULT_CODES.ACCEPTED, { id: duplicate.id, reference: duplicate.reference || null, duplicate: true });
+            }
+        } catch (error) {
+            console.error('Failed to check idempotency key:', error.message);
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+        
+        // Uploaded attachments must belong to this form and not to another inquiry yet
+        const attachmentsName = schema.attachments ? schema.attachments.name : 'attachments';
+        let attachments;
+        
+        try {
+            attachments = await findUnlinkedAttachments(store, schema, payload[attachmentsName]);
+        } catch (error) {
+            console.error('Failed to check attachments:', error.message);
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+        
+        if (attachments.error) {
+            return result(400, RESULT_CODES.INVALID, { fields: { [attachmentsName]: attachments.error } });
+        }
+        
+        // Per-IP and per-email rate limiting
+        const emailKey = values.email.toLowerCase();
+        const ipCheck = ipLimiter.check(ip);
+        const emailCheck = emailLimiter.check(emailKey);
+        
+        if (!ipCheck.allowed || !emailCheck.allowed) {
+            return result(429, RESULT_CODES.RATE_LIMITED, {
+                retryAfter: Math.max(ipCheck.retryAfter || 0, emailCheck.retryAfter || 0)
+            });
+        }
+        
+        ipLimiter.record(ip);
+        emailLimiter.record(emailKey);
+        
+        // Honeypot and spam score are decided here, never trusted from the client
+        const honeypotFilled = readText(payload, 'website_url') !== '';
+        const spam = SpamRules.score({ ...values, ...meta }, { threshold: config.spamBlockThreshold });
+        
+        if (honeypotFilled || spam.blocked) {
+            console.log('Inquiry rejected as spam:', {
+                ip,
+                spamScore: spam.score,
+                honeypotFilled,
+                reasons: spam.reasons.map(item => item.reason)
+            });
+            return result(422, RESULT_CODES.SPAM);
+        }
+        
+        const row = {
+            ...FormSchema.toRow(schema, values),
+            ...meta,
+            form_type: schema.id,
+            reference: createReference(),
+            user_agent: userAgent || null,
+            ip: ip || null,
+            honeypot_filled: false,
+            submission_timestamp: new Date().toISOString(),
+            spam_score: spam.score,
+            spam_reasons: spam.reasons.map(item => item.rule)
+        };
+        
+        try {
+            const stored = await store.insert(schema.table, row);
+            
+            // The inquiry is stored either way; an unlinked upload is left for staff to find
+            await linkAttachments(store, attachments.rows, stored.id).catch(error => {
+                console.error('Failed to link attachments:', { inquiryId: stored.id, message: error.message });
+            });
+            
+            // Emails go out after the response; delivery problems are only logged
+            if (notify) {
+                notify(schema, stored, attachments.rows).catch(error => {
+                    console.error('Failed to send notifications:', { reference: stored.reference, message: error.message });
+                });
+            }
+            
+            return result(201, RESULT_CODES.ACCEPTED, { id: stored.id, reference: stored.reference });
+        } catch (error) {
+            // Unique violation: a concurrent retry stored the same submission first
+            if (error.code === '23505' && meta.idempotency_key) {
+                const duplicate = await findDuplicate(store, schema.table, meta.idempotency_key).catch(() => null);
+                if (duplicate) {
+                    return result(200, RESULT_CODES.ACCEPTED, { id: duplicate.id, reference: duplicate.reference || null, duplicate: true });
+                }
+            }
+            
+            console.error('Failed to store inquiry:', {
+                message: error.message,
+                code: error.code,
+                details: error.details
+            });
+            return result(500, RESULT_CODES.SERVER_ERROR);
+        }
+    };
+}
+
+module.exports = {
+    RESULT_CODES,
+    createInquiryHandler
+};
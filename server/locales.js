@@ -0,0 +1,64 @@
+/**
+ * ACTA Website Locales (server)
+ * Loads the message catalogues shared with the browser from assets/i18n/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const Messages = require('../assets/js/messages');
+
+const I18N_DIR = path.resolve(__dirname, '..', 'assets', 'i18n');
+
+// Locale for submissions that do not name one, and for missing messages
+const DEFAULT_LOCALE = 'en';
+
+// Load every catalogue in the i18n directory, keyed by locale ("de.json" -> "de")
+function loadCatalogues(dir = I18N_DIR) {
+    const catalogues = {};
+    
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            catalogues[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        });
+    
+    if (!catalogues[DEFAULT_LOCALE]) {
+        throw new Error(`No catalogue for the default locale "${DEFAULT_LOCALE}" in ${dir}`);
+    }
+    
+    return catalogues;
+}
+
+// Match a submitted locale against the catalogues: exact, then by language ("de-AT" -> "de").
+// Anything else gets the default locale.
+function matchLocale(catalogues, locale) {
+    const wanted = typeof locale === 'string' ? locale.trim().toLowerCase() : '';
+    const has = name => Object.prototype.hasOwnProperty.call(catalogues, name);
+    
+    if (has(wanted)) return wanted;
+    
+    const language = wanted.split('-')[0];
+    return has(language) ? language : DEFAULT_LOCALE;
+}
+
+// Create t(key, params, fallback) for a locale through the lookup the browser uses
+// (assets/js/messages.js): the locale, the default locale, the fallback, the key
+function createTranslator(catalogues, locale) {
+    const messages = catalogues[locale] || {};
+    const fallbackMessages = catalogues[DEFAULT_LOCALE] || {};
+    const pluralRules = new Intl.PluralRules(catalogues[locale] ? locale : DEFAULT_LOCALE);
+    
+    return function t(key, params = {}, fallback) {
+        return Messages.translate([messages, fallbackMessages], key, params, fallback, pluralRules);
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    loadCatalogues,
+    matchLocale,
+    createTranslator
+};
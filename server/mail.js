@@ -0,0 +1,281 @@
+/**
+ * ACTA Website Mail Transports
+ * Pluggable mail delivery: a dependency-free SMTP client, plus file and console
+ * transports for working without a mail server
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const crypto = require('crypto');
+const { domainToASCII } = require('url');
+
+// Remove line breaks so values cannot inject extra headers
+function headerValue(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Encode a header as an RFC 2047 word when it is not plain ASCII
+function encodeHeader(value) {
+    const clean = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+// Bare address from "Name <address>" or "address"
+function addressOf(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return headerValue(match ? match[1] : value);
+}
+
+// Address with its domain in ASCII (punycode), e.g. anna@bücher.de -> anna@xn--bcher-kva.de.
+// A domain that cannot be converted is left as it is for the server to reject.
+function asciiDomain(address) {
+    const at = address.lastIndexOf('@');
+    
+    if (at === -1) return address;
+    
+    const domain = domainToASCII(address.slice(at + 1));
+    return domain ? `${address.slice(0, at)}@${domain}` : address;
+}
+
+// A Unicode local part (müller@example.com) can only be delivered with SMTPUTF8
+function needsSmtpUtf8(address) {
+    return /[^\x00-\x7f]/.test(address);
+}
+
+// Header address ("Name <address>" or "address") with its domain in ASCII
+function headerAddress(value) {
+    const clean = headerValue(value);
+    const match = /<([^>]+)>/.exec(clean);
+    
+    return match ? clean.replace(match[0], `<${asciiDomain(match[1])}>`) : asciiDomain(clean);
+}
+
+// Build an RFC 5322 plain text message
+function buildMessage({ from, to, replyTo, subject, text }) {
+    const recipients = [].concat(to);
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    const headers = [
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${headerValue(from)}`,
+        `To: ${recipients.map(headerAddress).join(', ')}`,
+        replyTo ? `Reply-To: ${headerAddress(replyTo)}` : null,
+        `Subject: ${encodeHeader(subject)}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// Minimal SMTP client: EHLO, STARTTLS when offered, AUTH PLAIN (only over TLS), one
+// message per connection. Domains are sent as punycode; Unicode local parts need the
+// server's SMTPUTF8 extension.
+function createSmtpTransport({ host, port, secure, user, password, timeout }) {
+    function connect() {
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+                : net.connect({ host, port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+    
+    // Line reader that resolves with each complete (possibly multi-line) reply
+    function createSession(socket) {
+        let buffer = '';
+        let lines = [];
+        let waiting = null;
+        let failure = null;
+        const replies = [];
+        
+        function onData(chunk) {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                lines.push(line);
+                
+                // "250-..." continues a reply, "250 ..." ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+                    lines = [];
+                }
+            }
+            settle();
+        }
+        
+        function onFailure(error) {
+            failure = failure || error;
+            settle();
+        }
+        
+        // Hand the next reply (or the connection failure) to a waiting read
+        function settle() {
+            if (!waiting) return;
+            
+            const { resolve, reject } = waiting;
+            if (replies.length) {
+                waiting = null;
+                resolve(replies.shift());
+            } else if (failure) {
+                waiting = null;
+                reject(failure);
+            }
+        }
+        
+        function attach(target) {
+            target.on('data', onData);
+            target.on('error', onFailure);
+            target.on('close', () => onFailure(new Error('SMTP connection closed')));
+            target.setTimeout(timeout, () => target.destroy(new Error('SMTP connection timed out')));
+        }
+        
+        attach(socket);
+        
+        return {
+            socket,
+            attach,
+            read() {
+                return new Promise((resolve, reject) => {
+                    waiting = { resolve, reject };
+                    settle();
+                });
+            }
+        };
+    }
+    
+    async function command(session, line, expected) {
+        if (line !== null) {
+            session.socket.write(`${line}\r\n`);
+        }
+        
+        const reply = await session.read();
+        if (!expected.includes(reply.code)) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+    
+    return {
+        name: 'smtp',
+        
+        async send(message) {
+            const sender = asciiDomain(addressOf(message.from));
+            const recipients = [].concat(message.to).map(addressOf).map(asciiDomain);
+            const utf8 = [sender, ...recipients].some(needsSmtpUtf8);
+            const session = createSession(await connect());
+            const hostname = os.hostname();
+            
+            try {
+                await command(session, null, [220]);
+                let hello = await command(session, `EHLO ${hostname}`, [250]);
+                let encrypted = Boolean(secure);
+                
+                // Upgrade plain connections when the server supports it
+                if (!secure && hello.lines.some(line => /STARTTLS/i.test(line))) {
+                    await command(session, 'STARTTLS', [220]);
+                    const plain = session.socket;
+                    plain.removeAllListeners('data');
+                    plain.removeAllListeners('close');
+                    session.socket = await new Promise((resolve, reject) => {
+                        const upgraded = tls.connect({ socket: plain, servername: host }, () => resolve(upgraded));
+                        upgraded.once('error', reject);
+                    });
+                    session.attach(session.socket);
+                    encrypted = true;
+                    hello = await command(session, `EHLO ${hostname}`, [250]);
+                }
+                
+                // Never send the password over a plain connection
+                if (user && !encrypted) {
+                    throw new Error('SMTP server did not offer STARTTLS; refusing to send credentials unencrypted (set SMTP_SECURE=true for implicit TLS)');
+                }
+                
+                if (user) {
+                    const credentials = Buffer.from(`\0${user}\0${password}`, 'utf8').toString('base64');
+                    await command(session, `AUTH PLAIN ${credentials}`, [235]);
+                }
+                
+                if (utf8 && !hello.lines.some(line => /SMTPUTF8/i.test(line))) {
+                    throw new Error('SMTP server does not support SMTPUTF8, needed for an address with non-ASCII characters');
+                }
+                
+                await command(session, `MAIL FROM:<${sender}>${utf8 ? ' SMTPUTF8' : ''}`, [250]);
+                for (const recipient of recipients) {
+                    await command(session, `RCPT TO:<${recipient}>`, [250, 251]);
+                }
+                
+                await command(session, 'DATA', [354]);
+                // Dot-stuff lines that start with "." and end with <CRLF>.<CRLF>
+                const data = buildMessage(message).replace(/^\./gm, '..').replace(/\r\n$/, '');
+                await command(session, `${data}\r\n.`, [250]);
+                await command(session, 'QUIT', [221]).catch(() => null);
+            } finally {
+                session.socket.end();
+            }
+        }
+    };
+}
+
+// Write each message to a .eml file (open with any mail client)
+function createFileTransport({ dir }) {
+    return {
+        name: 'file',
+        
+        async send(message) {
+            fs.mkdirSync(dir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}.eml`;
+            fs.writeFileSync(path.join(dir, fileName), buildMessage(message));
+        }
+    };
+}
+
+// Log each message to the console
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        
+        async send(message) {
+            console.log([
+                '--- mail ---',
+                `From: ${message.from}`,
+                `To: ${[].concat(message.to).join(', ')}`,
+                `Subject: ${message.subject}`,
+                '',
+                message.text,
+                '------------'
+            ].join('\n'));
+        }
+    };
+}
+
+// Pick the transport named in the configuration
+function createMailTransport(config) {
+    const mail = config.mail;
+    
+    switch (mail.transport) {
+        case 'smtp':
+            return createSmtpTransport(mail.smtp);
+        case 'file':
+            return createFileTransport({ dir: path.join(config.dataDir, 'mail') });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${mail.transport}" (use smtp, file or console)`);
+    }
+}
+
+module.exports = {
+    buildMessage,
+    createMailTransport
+};
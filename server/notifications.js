@@ -0,0 +1,127 @@
+/**
+ * ACTA Website Inquiry Notifications
+ * Emails the team about new inquiries and acknowledges them to the submitter
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { loadCatalogues, createTranslator } = require('./locales');
+
+// Unambiguous characters for reference numbers (no 0/O, 1/I/L)
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const SIGNATURE = 'ACIU — Automotive Compliance & Inspection Unit Ltd.';
+
+// Create a reference number such as ACIU-261019-7KQ4M
+function createReference(date = new Date()) {
+    const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = Array.from(crypto.randomBytes(5), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    return `ACIU-${day}-${suffix}`;
+}
+
+// "Label: value" lines for the schema fields that have a value
+function fieldLines(schema, row) {
+    return schema.fields
+        .filter(field => field.type !== 'checkbox' && field.type !== 'textarea' && field.column)
+        .filter(field => row[field.column] !== null && row[field.column] !== undefined && row[field.column] !== '')
+        .map(field => `${field.label}: ${row[field.column]}`);
+}
+
+// Long text fields, each under its label
+function textBlocks(schema, row) {
+    return schema.fields
+        .filter(field => field.type === 'textarea' && field.column && row[field.column])
+        .map(field => `${field.label}:\n${row[field.column]}`);
+}
+
+// Team notification for a new inquiry
+function teamNotification(schema, row, { attachments, siteUrl }) {
+    const lines = [
+        `${schema.title || 'Website inquiry'}: new submission ${row.reference}`,
+        '',
+        ...fieldLines(schema, row),
+        `Language: ${row.locale || 'unknown'}`,
+        `Spam score: ${row.spam_score}${row.spam_reasons && row.spam_reasons.length ? ` (${row.spam_reasons.join(', ')})` : ''}`,
+        '',
+        ...textBlocks(schema, row)
+    ];
+    
+    if (attachments.length) {
+        lines.push('', 'Attachments (quarantined until approved):', ...attachments.map(item => `- ${item.file_name}`));
+    }
+    
+    if (siteUrl) {
+        lines.push('', `Open the inbox: ${siteUrl}/admin.html`);
+    }
+    
+    return {
+        subject: `[${row.reference}] ${schema.title || 'Website inquiry'} from ${row.full_name}`,
+        text: lines.join('\n')
+    };
+}
+
+// Acknowledgement sent to the submitter, in the language the form was filled in. The
+// address has not been verified, so nothing they submitted is echoed back, not even
+// their name: the form must not be a way to send arbitrary text to any address from
+// our domain.
+function acknowledgement(row, t) {
+    const lines = [
+        t('email.acknowledgement.greeting'),
+        '',
+        t('email.acknowledgement.received'),
+        '',
+        t('email.acknowledgement.reference', { reference: row.reference }),
+        '',
+        SIGNATURE
+    ];
+    
+    return {
+        subject: t('email.acknowledgement.subject', { reference: row.reference }),
+        text: lines.join('\n')
+    };
+}
+
+// Create the notifier; failures are logged and never undo a stored inquiry
+function createNotifier({ transport, config, catalogues = loadCatalogues() }) {
+    const { from, teamAddress, sendAcknowledgement } = config.mail;
+    
+    async function deliver(kind, message, reference) {
+        try {
+            await transport.send(message);
+        } catch (error) {
+            console.error(`Failed to send ${kind} email:`, { reference, transport: transport.name, message: error.message });
+        }
+    }
+    
+    return async function notifyInquiry(schema, row, attachments = []) {
+        const deliveries = [];
+        
+        if (teamAddress) {
+            deliveries.push(deliver('team notification', {
+                from,
+                to: teamAddress,
+                replyTo: row.email,
+                ...teamNotification(schema, row, { attachments, siteUrl: config.siteUrl })
+            }, row.reference));
+        }
+        
+        if (sendAcknowledgement && row.email) {
+            deliveries.push(deliver('acknowledgement', {
+                from,
+                to: row.email,
+                replyTo: teamAddress || undefined,
+                ...acknowledgement(row, createTranslator(catalogues, row.locale))
+            }, row.reference));
+        }
+        
+        await Promise.all(deliveries);
+    };
+}
+
+module.exports = {
+    SIGNATURE,
+    createReference,
+    createNotifier
+};
@@ -0,0 +1,60 @@
+/**
+ * ACTA Website Rate Limiter
+ * Sliding-window request counting keyed by IP address or email
+ */
+
+'use strict';
+
+// Create a sliding-window rate limiter
+function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map();
+    
+    // Drop timestamps that fell out of the window
+    function recentHits(key, now) {
+        const recent = (hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+        
+        if (recent.length) {
+            hits.set(key, recent);
+        } else {
+            hits.delete(key);
+        }
+        
+        return recent;
+    }
+    
+    // Check whether a key is under the limit without recording a hit
+    function check(key, now = Date.now()) {
+        const recent = recentHits(key, now);
+        
+        if (recent.length >= limit) {
+            return {
+                allowed: false,
+                retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000)
+            };
+        }
+        
+        return { allowed: true, remaining: limit - recent.length };
+    }
+    
+    // Record a hit for a key
+    function record(key, now = Date.now()) {
+        const recent = recentHits(key, now);
+        recent.push(now);
+        hits.set(key, recent);
+    }
+    
+    // Remove expired keys so memory does not grow unbounded
+    function prune(now = Date.now()) {
+        Array.from(hits.keys()).forEach(key => recentHits(key, now));
+    }
+    
+    return {
+        check,
+        record,
+        prune
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,29 @@
+/**
+ * ACTA Website API Results
+ * Result codes and response shape shared by the API handlers
+ */
+
+'use strict';
+
+// Result codes returned to the client (see RESULT_MESSAGES in assets/js/contact.js)
+const RESULT_CODES = {
+    ACCEPTED: 'accepted',
+    INVALID: 'invalid',
+    RATE_LIMITED: 'rate_limited',
+    SPAM: 'spam',
+    FORBIDDEN: 'forbidden',
+    SERVER_ERROR: 'server_error'
+};
+
+// Build a handler result
+function result(status, code, extra) {
+    return {
+        status,
+        body: { ok: code === RESULT_CODES.ACCEPTED, code, ...extra }
+    };
+}
+
+module.exports = {
+    RESULT_CODES,
+    result
+};
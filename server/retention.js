@@ -0,0 +1,108 @@
+/**
+ * ACTA Website Retention Job
+ * Applies the retention periods with public.apply_retention() (sql/009_retention.sql and
+ * 014_retention_uploads_requests.sql), deletes the attachment files it releases and
+ * prints a purge report.
+ *
+ * Usage: node server/retention.js [--dry-run] [--report <file>]
+ * Schedule it daily, e.g. cron: 0 3 * * * cd /srv/aciu && node server/retention.js --report /var/log/aciu/retention.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const config = require('./config');
+const { createStore } = require('./store');
+const { createStorage } = require('./storage');
+
+// Read the command line options
+function parseArgs(argv) {
+    const options = { dryRun: false, reportPath: null };
+    
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--report' && argv[i + 1]) {
+            options.reportPath = argv[++i];
+        } else {
+            throw new Error(`Unknown option "${argv[i]}" (use --dry-run and --report <file>)`);
+        }
+    }
+    
+    return options;
+}
+
+// Run the retention function, then delete the files of removed attachments
+async function runRetention({ store, storage, settings, dryRun }) {
+    const report = await store.rpc('apply_retention', {
+        p_technical_after: `${settings.technicalDataDays} days`,
+        p_anonymise_after: `${settings.anonymiseAfterDays} days`,
+        p_spam_after: `${settings.spamAfterDays} days`,
+        p_unlinked_after: `${settings.unlinkedAttachmentHours} hours`,
+        p_dry_run: dryRun
+    });
+    
+    const files = { removed: 0, failed: [] };
+    
+    if (!dryRun) {
+        for (const storagePath of report.attachment_paths) {
+            try {
+                await storage.remove(storagePath);
+                files.removed++;
+            } catch (error) {
+                files.failed.push({ path: storagePath, message: error.message });
+            }
+        }
+    }
+    
+    return { ...report, files };
+}
+
+// Run the job from the command line
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = createStore(config);
+    
+    if (store.kind !== 'supabase') {
+        throw new Error('The retention job needs the Supabase database (set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY)');
+    }
+    
+    const report = await runRetention({
+        store,
+        storage: createStorage(config),
+        settings: config.retention,
+        dryRun: options.dryRun
+    });
+    const output = JSON.stringify(report, null, 2);
+    
+    // The report goes to the file when one is given, otherwise to stdout
+    if (options.reportPath) {
+        fs.writeFileSync(options.reportPath, `${output}\n`);
+    } else {
+        console.log(output);
+    }
+    
+    console.error(`${options.dryRun ? 'Dry run: would have' : 'Retention:'} deleted ${report.spam_deleted} spam inquiries, ` +
+        `anonymised ${report.anonymised}, cleared technical data on ${report.technical_cleared} ` +
+        `and removed ${report.attachments_removed} attachments (${report.unlinked_attachments_removed} never linked); ` +
+        `anonymised ${report.data_requests_anonymised} data requests and cleared technical data on ` +
+        `${report.data_requests_technical_cleared}`);
+    
+    // The attachment rows are already gone, so leftover files have to be removed by hand
+    if (report.files.failed.length) {
+        console.error('Failed to delete attachment files:', report.files.failed);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Retention job failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    runRetention
+};
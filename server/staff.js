@@ -0,0 +1,49 @@
+/**
+ * ACTA Website Staff Authentication
+ * Checks the Supabase Auth access token a staff member sends from admin.html and looks
+ * them up in public.staff (006_staff_inbox.sql)
+ */
+
+'use strict';
+
+const STAFF_TABLE = 'staff';
+
+// Read the bearer token from an Authorization header
+function bearerToken(header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+    return match ? match[1] : null;
+}
+
+// Create the staff check; without Supabase nobody can sign in, so nobody is staff
+function createStaffAuth({ supabaseUrl, supabaseServiceKey }, { store }) {
+    const authUrl = `${(supabaseUrl || '').replace(/\/+$/, '')}/auth/v1/user`;
+    
+    // The active staff row for a token, or null
+    return async function authenticateStaff(authorization) {
+        const token = bearerToken(authorization);
+        
+        if (!token || !supabaseUrl || !supabaseServiceKey) {
+            return null;
+        }
+        
+        const response = await fetch(authUrl, {
+            headers: {
+                apikey: supabaseServiceKey,
+                Authorization: `Bearer ${token}`
+            }
+        });
+        
+        if (!response.ok) {
+            return null;
+        }
+        
+        const user = await response.json();
+        const [member] = await store.select(STAFF_TABLE, { user_id: user.id, active: true });
+        
+        return member || null;
+    };
+}
+
+module.exports = {
+    createStaffAuth
+};
@@ -0,0 +1,113 @@
+/**
+ * ACTA Website File Storage
+ * Minimal Supabase Storage client with a local directory stand-in
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { storeError } = require('./store');
+
+// Supabase Storage backed bucket using the service role key
+function createSupabaseStorage({ supabaseUrl, supabaseServiceKey, storageBucket }) {
+    const baseUrl = `${supabaseUrl.replace(/\/+$/, '')}/storage/v1`;
+    
+    async function request(method, resource, { body, contentType } = {}) {
+        const response = await fetch(`${baseUrl}/${resource}`, {
+            method,
+            headers: {
+                apikey: supabaseServiceKey,
+                Authorization: `Bearer ${supabaseServiceKey}`,
+                'Content-Type': contentType || 'application/json'
+            },
+            body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+        });
+        
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (e) {
+            data = { message: text };
+        }
+        
+        if (!response.ok) {
+            throw storeError(
+                (data && (data.message || data.error)) || `Storage request failed with status ${response.status}`,
+                response.status,
+                data && data.statusCode
+            );
+        }
+        
+        return data;
+    }
+    
+    return {
+        kind: 'supabase',
+        
+        put(objectPath, buffer, contentType) {
+            return request('POST', `object/${storageBucket}/${objectPath}`, { body: buffer, contentType });
+        },
+        
+        move(fromPath, toPath) {
+            return request('POST', 'object/move', {
+                body: { bucketId: storageBucket, sourceKey: fromPath, destinationKey: toPath }
+            });
+        },
+        
+        remove(objectPath) {
+            return request('DELETE', `object/${storageBucket}`, { body: { prefixes: [objectPath] } });
+        }
+    };
+}
+
+// Local directory stand-in for development without Supabase
+function createLocalStorage({ dataDir, storageBucket }) {
+    const root = path.resolve(dataDir, 'storage', storageBucket);
+    
+    function resolve(objectPath) {
+        const filePath = path.resolve(root, objectPath);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw storeError(`Invalid object path ${objectPath}`, 400, 'invalid_path');
+        }
+        return filePath;
+    }
+    
+    return {
+        kind: 'file',
+        
+        async put(objectPath, buffer) {
+            const filePath = resolve(objectPath);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, buffer, { flag: 'wx' });
+            return { Key: objectPath };
+        },
+        
+        async move(fromPath, toPath) {
+            const target = resolve(toPath);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.renameSync(resolve(fromPath), target);
+            return { message: 'Successfully moved' };
+        },
+        
+        async remove(objectPath) {
+            fs.rmSync(resolve(objectPath), { force: true });
+            return [];
+        }
+    };
+}
+
+// Pick the storage for the current configuration
+function createStorage(config) {
+    if (config.supabaseUrl && config.supabaseServiceKey) {
+        return createSupabaseStorage(config);
+    }
+    
+    return createLocalStorage(config);
+}
+
+module.exports = {
+    createStorage
+};
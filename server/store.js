@@ -0,0 +1,188 @@
+/**
+ * ACTA Website Data Store
+ * Minimal Supabase REST client with a local JSON file stand-in
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Create an error carrying the store status and code
+function storeError(message, status, code, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code || null;
+    error.details = details || null;
+    return error;
+}
+
+// Escape LIKE wildcards so a value only matches itself
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Build a PostgREST query string from filters. A value is matched exactly;
+// { ilike: value } matches the whole value ignoring case.
+function toQuery(filters) {
+    return Object.entries(filters || {})
+        .map(([column, value]) => {
+            const condition = value && typeof value === 'object'
+                ? `ilike.${escapeLike(value.ilike)}`
+                : `eq.${value}`;
+            return `${encodeURIComponent(column)}=${encodeURIComponent(condition)}`;
+        })
+        .join('&');
+}
+
+// Supabase (PostgREST) backed store using the service role key
+function createSupabaseStore({ supabaseUrl, supabaseServiceKey }) {
+    const baseUrl = supabaseUrl.replace(/\/+$/, '');
+    
+    async function request(method, resource, { query, body, prefer } = {}) {
+        const url = `${baseUrl}/rest/v1/${resource}${query ? `?${query}` : ''}`;
+        const headers = {
+            apikey: supabaseServiceKey,
+            Authorization: `Bearer ${supabaseServiceKey}`,
+            'Content-Type': 'application/json'
+        };
+        
+        if (prefer) {
+            headers.Prefer = prefer;
+        }
+        
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        
+        if (!response.ok) {
+            throw storeError(
+                (data && data.message) || `Supabase request failed with status ${response.status}`,
+                response.status,
+                data && data.code,
+                data && (data.details || data.hint)
+            );
+        }
+        
+        return data;
+    }
+    
+    return {
+        kind: 'supabase',
+        
+        async insert(table, row) {
+            const rows = await request('POST', table, { body: [row], prefer: 'return=representation' });
+            return rows[0];
+        },
+        
+        select(table, filters) {
+            const query = [toQuery(filters), 'select=*'].filter(Boolean).join('&');
+            return request('GET', table, { query });
+        },
+        
+        update(table, filters, values) {
+            return request('PATCH', table, { query: toQuery(filters), body: values, prefer: 'return=representation' });
+        },
+        
+        remove(table, filters) {
+            return request('DELETE', table, { query: toQuery(filters), prefer: 'return=representation' });
+        },
+        
+        rpc(fn, args) {
+            return request('POST', `rpc/${fn}`, { body: args || {} });
+        }
+    };
+}
+
+// Local JSON file store for development without Supabase
+function createFileStore({ dataDir }) {
+    function tablePath(table) {
+        return path.join(dataDir, `${table}.json`);
+    }
+    
+    function readTable(table) {
+        try {
+            return JSON.parse(fs.readFileSync(tablePath(table), 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+    }
+    
+    function writeTable(table, rows) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(tablePath(table), JSON.stringify(rows, null, 2));
+    }
+    
+    function matches(row, filters) {
+        return Object.entries(filters || {}).every(([column, value]) => {
+            if (value && typeof value === 'object') {
+                return String(row[column]).toLowerCase() === String(value.ilike).toLowerCase();
+            }
+            return String(row[column]) === String(value);
+        });
+    }
+    
+    return {
+        kind: 'file',
+        
+        async insert(table, row) {
+            const rows = readTable(table);
+            const stored = {
+                id: crypto.randomUUID(),
+                created_at: new Date().toISOString(),
+                ...row
+            };
+            rows.push(stored);
+            writeTable(table, rows);
+            return stored;
+        },
+        
+        async select(table, filters) {
+            return readTable(table).filter(row => matches(row, filters));
+        },
+        
+        async update(table, filters, values) {
+            const updated = [];
+            const rows = readTable(table).map(row => {
+                if (!matches(row, filters)) return row;
+                const next = { ...row, ...values };
+                updated.push(next);
+                return next;
+            });
+            writeTable(table, rows);
+            return updated;
+        },
+        
+        async remove(table, filters) {
+            const rows = readTable(table);
+            writeTable(table, rows.filter(row => !matches(row, filters)));
+            return rows.filter(row => matches(row, filters));
+        },
+        
+        async rpc(fn) {
+            throw storeError(`Function ${fn} requires a Supabase database`, 501, 'unsupported');
+        }
+    };
+}
+
+// Pick the store for the current configuration
+function createStore(config) {
+    if (config.supabaseUrl && config.supabaseServiceKey) {
+        return createSupabaseStore(config);
+    }
+    
+    console.warn(`Supabase not configured, storing data in ${config.dataDir}/`);
+    return createFileStore(config);
+}
+
+module.exports = {
+    createStore,
+    storeError
+};
@@ -0,0 +1,19 @@
+-- Submission endpoint
+-- Inquiries are now written by the submission server (server/index.js) with the
+-- service role key. The anon role no longer inserts into the table directly.
+
+alter table public.inquiries
+  add column if not exists spam_score integer,
+  add column if not exists honeypot_filled boolean not null default false,
+  add column if not exists form_time_spent integer,
+  add column if not exists submission_timestamp timestamptz;
+
+-- Remove direct anonymous inserts
+drop policy if exists "Allow inserts from anon" on public.inquiries;
+revoke insert on public.inquiries from anon;
+
+-- Support per-email and per-IP lookups
+create index if not exists inquiries_email_created_at_idx
+  on public.inquiries (lower(email), created_at desc);
+create index if not exists inquiries_ip_created_at_idx
+  on public.inquiries (ip, created_at desc);
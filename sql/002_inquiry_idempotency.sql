@@ -0,0 +1,10 @@
+-- Offline outbox
+-- Queued submissions are retried by the browser with the same client-generated
+-- idempotency key, so a retry never creates a second row.
+
+alter table public.inquiries
+  add column if not exists idempotency_key text;
+
+create unique index if not exists inquiries_idempotency_key_idx
+  on public.inquiries (idempotency_key)
+  where idempotency_key is not null;
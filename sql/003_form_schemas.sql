@@ -0,0 +1,13 @@
+-- Schema-driven forms
+-- Every form in assets/forms/ stores into public.inquiries. form_type records
+-- which schema a row came from; the audit quote form adds its own columns.
+
+alter table public.inquiries
+  add column if not exists form_type text not null default 'contact',
+  add column if not exists vehicle_category text,
+  add column if not exists regulation text,
+  add column if not exists target_start_date date,
+  add column if not exists target_end_date date;
+
+create index if not exists inquiries_form_type_idx
+  on public.inquiries (form_type);
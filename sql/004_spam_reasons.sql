@@ -0,0 +1,6 @@
+-- Spam rule reasons
+-- Names of the spam rules that fired for a stored inquiry (assets/js/spam-rules.js),
+-- so staff can see why a borderline submission scored as it did.
+
+alter table public.inquiries
+  add column if not exists spam_reasons text[] not null default '{}';
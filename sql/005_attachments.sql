@@ -0,0 +1,30 @@
+-- Inquiry attachments
+-- Files are uploaded by the submission server into a private bucket under
+-- quarantine/<id>/ and only move to approved/<id>/ once staff approve them
+-- (server/attachments.js). Nothing here is readable by the anon role.
+
+create table if not exists public.attachments (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  inquiry_id uuid references public.inquiries (id) on delete cascade,
+  form_type text not null,
+  file_name text not null,
+  content_type text not null,
+  size_bytes integer not null check (size_bytes > 0),
+  storage_path text not null,
+  status text not null default 'quarantined'
+    check (status in ('quarantined', 'approved', 'rejected')),
+  reviewed_by text,
+  reviewed_at timestamptz
+);
+
+alter table public.attachments enable row level security;
+revoke all on public.attachments from anon;
+
+create index if not exists attachments_inquiry_id_idx
+  on public.attachments (inquiry_id);
+
+-- Private bucket for the files themselves
+insert into storage.buckets (id, name, public)
+values ('inquiry-attachments', 'inquiry-attachments', false)
+on conflict (id) do nothing;
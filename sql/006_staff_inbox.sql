@@ -0,0 +1,77 @@
+-- Staff inbox (admin.html)
+-- Staff sign in with Supabase Auth. Only users listed in public.staff can read
+-- inquiries and update their status and owner; the anon role still has no access.
+
+create table if not exists public.staff (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  email text not null,
+  display_name text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table public.staff enable row level security;
+
+-- True when the signed-in user is active staff
+create or replace function public.is_staff()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.staff
+    where user_id = auth.uid() and active
+  );
+$$;
+
+revoke all on function public.is_staff() from public;
+grant execute on function public.is_staff() to authenticated;
+
+create policy "Staff read staff list" on public.staff
+  for select to authenticated
+  using (public.is_staff());
+
+-- Inquiry workflow
+alter table public.inquiries
+  add column if not exists status text not null default 'new'
+    check (status in ('new', 'in_progress', 'closed', 'spam')),
+  add column if not exists owner_id uuid references public.staff (user_id) on delete set null,
+  add column if not exists status_updated_at timestamptz;
+
+create index if not exists inquiries_status_created_at_idx
+  on public.inquiries (status, created_at desc);
+
+create policy "Staff read inquiries" on public.inquiries
+  for select to authenticated
+  using (public.is_staff());
+
+create policy "Staff update inquiries" on public.inquiries
+  for update to authenticated
+  using (public.is_staff())
+  with check (public.is_staff());
+
+-- Staff may only change the workflow columns
+revoke update on public.inquiries from authenticated;
+grant select on public.inquiries to authenticated;
+grant update (status, owner_id, status_updated_at) on public.inquiries to authenticated;
+
+create policy "Staff read attachments" on public.attachments
+  for select to authenticated
+  using (public.is_staff());
+
+grant select on public.attachments to authenticated;
+
+-- Approved attachments can be downloaded by staff; quarantined files cannot
+create policy "Staff read approved attachments" on storage.objects
+  for select to authenticated
+  using (
+    bucket_id = 'inquiry-attachments'
+    and name like 'approved/%'
+    and public.is_staff()
+  );
+
+-- Add staff after they have signed up, e.g.:
+-- insert into public.staff (user_id, email, display_name)
+-- select id, email, 'Maria Borg' from auth.users where email = 'maria@acta-approval.com.mt';
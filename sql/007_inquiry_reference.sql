@@ -0,0 +1,10 @@
+-- Inquiry reference numbers
+-- Every stored inquiry gets a reference such as ACIU-261019-7KQ4M, shown to the
+-- submitter and used in the notification and acknowledgement emails.
+
+alter table public.inquiries
+  add column if not exists reference text;
+
+create unique index if not exists inquiries_reference_idx
+  on public.inquiries (reference)
+  where reference is not null;
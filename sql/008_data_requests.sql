@@ -0,0 +1,72 @@
+-- Data subject requests (privacy.html)
+-- Access and erasure requests are verified with a one-time emailed link by the
+-- submission server (server/data-requests.js). Requests and their audit trail are
+-- kept after an erasure as the record that it was carried out.
+
+create table if not exists public.data_requests (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  email text not null,
+  request_type text not null check (request_type in ('access', 'erasure')),
+  status text not null default 'pending_verification'
+    check (status in ('pending_verification', 'verified', 'completed', 'failed')),
+  token_hash text,
+  token_expires_at timestamptz not null,
+  verified_at timestamptz,
+  completed_at timestamptz,
+  -- One calendar month to respond (GDPR Art. 12(3)), counted from receipt
+  due_at timestamptz not null default now() + interval '30 days',
+  ip inet,
+  user_agent text
+);
+
+create index if not exists data_requests_status_due_at_idx
+  on public.data_requests (status, due_at);
+
+create table if not exists public.data_request_events (
+  id bigint generated always as identity primary key,
+  request_id uuid not null references public.data_requests (id),
+  created_at timestamptz not null default now(),
+  event text not null
+    check (event in ('requested', 'verified', 'link_expired', 'exported', 'erased', 'failed')),
+  ip inet,
+  detail jsonb
+);
+
+create index if not exists data_request_events_request_id_idx
+  on public.data_request_events (request_id, created_at);
+
+alter table public.data_requests enable row level security;
+alter table public.data_request_events enable row level security;
+revoke all on public.data_requests from anon;
+revoke all on public.data_request_events from anon;
+
+-- The audit trail is append-only, even for the service role
+revoke update, delete on public.data_request_events from service_role;
+
+-- Deadline tracking: verified requests only count as answered once completed
+create or replace view public.data_requests_open
+with (security_invoker = true) as
+select
+  id,
+  email,
+  request_type,
+  status,
+  created_at,
+  due_at,
+  due_at < now() as overdue,
+  ceil(extract(epoch from due_at - now()) / 86400)::integer as days_remaining
+from public.data_requests
+where status in ('verified', 'failed')
+   or (status = 'pending_verification' and token_expires_at > now())
+order by due_at;
+
+create policy "Staff read data requests" on public.data_requests
+  for select to authenticated
+  using (public.is_staff());
+
+create policy "Staff read data request events" on public.data_request_events
+  for select to authenticated
+  using (public.is_staff());
+
+grant select on public.data_requests, public.data_request_events, public.data_requests_open to authenticated;
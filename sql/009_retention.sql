@@ -0,0 +1,131 @@
+-- Data retention
+-- apply_retention() enforces the "Data retention" section of privacy.html:
+--   * technical data (ip, user_agent) is cleared after 12 months
+--   * inquiries are anonymised after 24 months
+--   * inquiries staff marked as spam are deleted after 30 days
+-- Attachment rows of anonymised and deleted inquiries are removed and their storage
+-- paths returned, so server/retention.js can delete the files. Every run, including
+-- dry runs, is recorded in retention_runs.
+
+alter table public.inquiries
+  add column if not exists anonymised_at timestamptz;
+
+create index if not exists inquiries_retention_idx
+  on public.inquiries (created_at)
+  where anonymised_at is null;
+
+create table if not exists public.retention_runs (
+  id bigint generated always as identity primary key,
+  run_at timestamptz not null default now(),
+  dry_run boolean not null,
+  report jsonb not null
+);
+
+alter table public.retention_runs enable row level security;
+revoke all on public.retention_runs from anon;
+
+create policy "Staff read retention runs" on public.retention_runs
+  for select to authenticated
+  using (public.is_staff());
+
+grant select on public.retention_runs to authenticated;
+
+create or replace function public.apply_retention(
+  p_technical_after interval default interval '12 months',
+  p_anonymise_after interval default interval '24 months',
+  p_spam_after interval default interval '30 days',
+  p_dry_run boolean default true
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run_at timestamptz := now();
+  v_spam_ids uuid[];
+  v_anonymise_ids uuid[];
+  v_technical_ids uuid[];
+  v_paths text[];
+  v_report jsonb;
+begin
+  select coalesce(array_agg(id), '{}') into v_spam_ids
+  from inquiries
+  where status = 'spam' and created_at < v_run_at - p_spam_after;
+
+  select coalesce(array_agg(id), '{}') into v_anonymise_ids
+  from inquiries
+  where anonymised_at is null
+    and created_at < v_run_at - p_anonymise_after
+    and id <> all (v_spam_ids);
+
+  select coalesce(array_agg(id), '{}') into v_technical_ids
+  from inquiries
+  where (ip is not null or user_agent is not null)
+    and created_at < v_run_at - p_technical_after
+    and id <> all (v_spam_ids || v_anonymise_ids);
+
+  select coalesce(array_agg(storage_path order by storage_path), '{}') into v_paths
+  from attachments
+  where inquiry_id = any (v_spam_ids || v_anonymise_ids);
+
+  if not p_dry_run then
+    delete from attachments
+    where inquiry_id = any (v_spam_ids || v_anonymise_ids);
+
+    delete from inquiries
+    where id = any (v_spam_ids);
+
+    -- Keep the row for statistics (form, dates, category); drop everything personal
+    update inquiries set
+      full_name = 'Anonymised',
+      email = 'anonymised@invalid',
+      phone = null,
+      organisation = null,
+      message = '[removed]',
+      ip = null,
+      user_agent = null,
+      idempotency_key = null,
+      anonymised_at = v_run_at
+    where id = any (v_anonymise_ids);
+
+    update inquiries set
+      ip = null,
+      user_agent = null
+    where id = any (v_technical_ids);
+  end if;
+
+  v_report := jsonb_build_object(
+    'run_at', v_run_at,
+    'dry_run', p_dry_run,
+    'cutoffs', jsonb_build_object(
+      'technical', v_run_at - p_technical_after,
+      'anonymise', v_run_at - p_anonymise_after,
+      'spam', v_run_at - p_spam_after
+    ),
+    'spam_deleted', cardinality(v_spam_ids),
+    'anonymised', cardinality(v_anonymise_ids),
+    'technical_cleared', cardinality(v_technical_ids),
+    'attachments_removed', cardinality(v_paths),
+    'inquiry_ids', jsonb_build_object(
+      'spam_deleted', to_jsonb(v_spam_ids),
+      'anonymised', to_jsonb(v_anonymise_ids),
+      'technical_cleared', to_jsonb(v_technical_ids)
+    ),
+    'attachment_paths', to_jsonb(v_paths)
+  );
+
+  insert into retention_runs (run_at, dry_run, report)
+  values (v_run_at, p_dry_run, v_report - 'attachment_paths');
+
+  return v_report;
+end;
+$$;
+
+revoke all on function public.apply_retention(interval, interval, interval, boolean) from public;
+grant execute on function public.apply_retention(interval, interval, interval, boolean) to service_role;
+
+-- Run it with server/retention.js so attachment files are deleted too. Scheduling the
+-- function alone with pg_cron leaves those files in storage:
+-- select cron.schedule('inquiry-retention', '0 3 * * *',
+--   $$select public.apply_retention(p_dry_run => false)$$);
@@ -0,0 +1,34 @@
+-- Consent log
+-- Proof of consent: every choice made in the cookie banner or preferences modal
+-- (assets/js/consent.js) is sent to /api/consent when the page sets
+-- data-consent-endpoint on #cookie-banner. Rows record what was agreed, when, how
+-- and under which policy and banner version. No IP address or user agent is stored;
+-- the consent ID is also kept in the visitor's browser to match a row to a visitor.
+
+create table if not exists public.consent_log (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  consent_id uuid not null unique,
+  consented_at timestamptz not null,
+  policy_version text not null,
+  banner_version text not null,
+  method text not null check (method in ('accept_all', 'reject', 'custom')),
+  necessary boolean not null default true,
+  analytics boolean not null,
+  marketing boolean not null
+);
+
+create index if not exists consent_log_policy_version_idx
+  on public.consent_log (policy_version, created_at desc);
+
+alter table public.consent_log enable row level security;
+revoke all on public.consent_log from anon;
+
+-- Records are never edited
+revoke update on public.consent_log from service_role;
+
+create policy "Staff read consent log" on public.consent_log
+  for select to authenticated
+  using (public.is_staff());
+
+grant select on public.consent_log to authenticated;
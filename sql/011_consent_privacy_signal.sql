@@ -0,0 +1,7 @@
+-- Browser privacy signals in the consent log
+-- Records whether a Global Privacy Control ('gpc') or Do Not Track ('dnt') signal
+-- was honoured when the choice was made (assets/js/consent.js).
+
+alter table public.consent_log
+  add column if not exists privacy_signal text
+    check (privacy_signal in ('gpc', 'dnt'));
@@ -0,0 +1,7 @@
+-- Per-vendor choices in the consent log
+-- Vendor ids from assets/js/vendors.js mapped to true or false. A vendor that is not
+-- listed follows its category; null for records made before vendor consent existed.
+
+alter table public.consent_log
+  add column if not exists vendors jsonb
+    check (vendors is null or jsonb_typeof(vendors) = 'object');
@@ -0,0 +1,7 @@
+-- Inquiry locale
+-- The language the form was filled in ("en", "de", "fr": the catalogues in
+-- assets/i18n/), so acknowledgements and replies go out in that language. Null for
+-- inquiries made before the site was translated.
+
+alter table public.inquiries
+  add column if not exists locale text;
@@ -0,0 +1,167 @@
+-- Data retention: unlinked uploads and data subject requests
+-- apply_retention() (009_retention.sql) now also covers:
+--   * attachments uploaded but never linked to an inquiry (the form was abandoned or
+--     failed after the upload), deleted after 24 hours with their files
+--   * data_requests: ip and user_agent, and the ip of their events, cleared after
+--     12 months like other technical data
+--   * data_requests that are completed, or were never verified, keep their type,
+--     dates and status as the record that they were handled; the email address is
+--     replaced after 24 months
+-- Requests still waiting for staff (verified, failed) are left alone.
+
+alter table public.data_requests
+  add column if not exists anonymised_at timestamptz;
+
+drop function if exists public.apply_retention(interval, interval, interval, boolean);
+
+create or replace function public.apply_retention(
+  p_technical_after interval default interval '12 months',
+  p_anonymise_after interval default interval '24 months',
+  p_spam_after interval default interval '30 days',
+  p_unlinked_after interval default interval '24 hours',
+  p_dry_run boolean default true
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run_at timestamptz := now();
+  v_spam_ids uuid[];
+  v_anonymise_ids uuid[];
+  v_technical_ids uuid[];
+  v_unlinked_ids uuid[];
+  v_request_anonymise_ids uuid[];
+  v_request_technical_ids uuid[];
+  v_paths text[];
+  v_report jsonb;
+begin
+  select coalesce(array_agg(id), '{}') into v_spam_ids
+  from inquiries
+  where status = 'spam' and created_at < v_run_at - p_spam_after;
+
+  select coalesce(array_agg(id), '{}') into v_anonymise_ids
+  from inquiries
+  where anonymised_at is null
+    and created_at < v_run_at - p_anonymise_after
+    and id <> all (v_spam_ids);
+
+  select coalesce(array_agg(id), '{}') into v_technical_ids
+  from inquiries
+  where (ip is not null or user_agent is not null)
+    and created_at < v_run_at - p_technical_after
+    and id <> all (v_spam_ids || v_anonymise_ids);
+
+  select coalesce(array_agg(id), '{}') into v_unlinked_ids
+  from attachments
+  where inquiry_id is null
+    and created_at < v_run_at - p_unlinked_after;
+
+  select coalesce(array_agg(storage_path order by storage_path), '{}') into v_paths
+  from attachments
+  where inquiry_id = any (v_spam_ids || v_anonymise_ids)
+     or id = any (v_unlinked_ids);
+
+  select coalesce(array_agg(id), '{}') into v_request_anonymise_ids
+  from data_requests
+  where anonymised_at is null
+    and created_at < v_run_at - p_anonymise_after
+    and (status = 'completed'
+      or (status = 'pending_verification' and token_expires_at < v_run_at));
+
+  select coalesce(array_agg(r.id), '{}') into v_request_technical_ids
+  from data_requests r
+  where r.created_at < v_run_at - p_technical_after
+    and (r.ip is not null or r.user_agent is not null
+      or exists (
+        select 1 from data_request_events e
+        where e.request_id = r.id and e.ip is not null
+      ));
+
+  if not p_dry_run then
+    delete from attachments
+    where inquiry_id = any (v_spam_ids || v_anonymise_ids)
+       or id = any (v_unlinked_ids);
+
+    delete from inquiries
+    where id = any (v_spam_ids);
+
+    -- Keep the row for statistics (form, dates, category); drop everything personal
+    update inquiries set
+      full_name = 'Anonymised',
+      email = 'anonymised@invalid',
+      phone = null,
+      organisation = null,
+      message = '[removed]',
+      ip = null,
+      user_agent = null,
+      idempotency_key = null,
+      anonymised_at = v_run_at
+    where id = any (v_anonymise_ids);
+
+    update inquiries set
+      ip = null,
+      user_agent = null
+    where id = any (v_technical_ids);
+
+    update data_requests set
+      email = 'anonymised@invalid',
+      token_hash = null,
+      ip = null,
+      user_agent = null,
+      anonymised_at = v_run_at
+    where id = any (v_request_anonymise_ids);
+
+    update data_requests set
+      ip = null,
+      user_agent = null
+    where id = any (v_request_technical_ids);
+
+    -- The audit trail is otherwise append-only; only its technical data expires
+    update data_request_events set
+      ip = null
+    where request_id = any (v_request_technical_ids)
+      and ip is not null;
+  end if;
+
+  v_report := jsonb_build_object(
+    'run_at', v_run_at,
+    'dry_run', p_dry_run,
+    'cutoffs', jsonb_build_object(
+      'technical', v_run_at - p_technical_after,
+      'anonymise', v_run_at - p_anonymise_after,
+      'spam', v_run_at - p_spam_after,
+      'unlinked_attachments', v_run_at - p_unlinked_after
+    ),
+    'spam_deleted', cardinality(v_spam_ids),
+    'anonymised', cardinality(v_anonymise_ids),
+    'technical_cleared', cardinality(v_technical_ids),
+    'attachments_removed', cardinality(v_paths),
+    'unlinked_attachments_removed', cardinality(v_unlinked_ids),
+    'data_requests_anonymised', cardinality(v_request_anonymise_ids),
+    'data_requests_technical_cleared', cardinality(v_request_technical_ids),
+    'inquiry_ids', jsonb_build_object(
+      'spam_deleted', to_jsonb(v_spam_ids),
+      'anonymised', to_jsonb(v_anonymise_ids),
+      'technical_cleared', to_jsonb(v_technical_ids)
+    ),
+    'attachment_ids', jsonb_build_object(
+      'unlinked_removed', to_jsonb(v_unlinked_ids)
+    ),
+    'data_request_ids', jsonb_build_object(
+      'anonymised', to_jsonb(v_request_anonymise_ids),
+      'technical_cleared', to_jsonb(v_request_technical_ids)
+    ),
+    'attachment_paths', to_jsonb(v_paths)
+  );
+
+  insert into retention_runs (run_at, dry_run, report)
+  values (v_run_at, p_dry_run, v_report - 'attachment_paths');
+
+  return v_report;
+end;
+$$;
+
+revoke all on function public.apply_retention(interval, interval, interval, interval, boolean) from public;
+grant execute on function public.apply_retention(interval, interval, interval, interval, boolean) to service_role;
@@ -0,0 +1,102 @@
+/**
+ * ACTA Website Attachment Review tests
+ * Staff approve and reject quarantined uploads through POST /api/attachments/review,
+ * run here against the local file store and storage in a temporary directory
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../server/store');
+const { createStorage } = require('../server/storage');
+const { createAttachmentHandler, createAttachmentReviewHandler } = require('../server/attachments');
+
+const PDF = Buffer.from('%PDF-1.7\n%test\n');
+const STAFF = { user_id: 'a6f1c0de-0000-4000-8000-000000000001', email: 'maria@acta-approval.com.mt' };
+
+// Upload and review handlers over a fresh data directory
+function setup(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acta-attachments-'));
+    const config = {
+        dataDir,
+        storageBucket: 'inquiry-attachments',
+        rateLimit: { maxUploadsPerIp: 10, windowMs: 60 * 1000 }
+    };
+    const store = createStore(config);
+    const storage = createStorage(config);
+    const bucket = path.join(dataDir, 'storage', config.storageBucket);
+    
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    // Only the "staff-token" bearer token belongs to a staff member
+    const authenticateStaff = async authorization => authorization === 'Bearer staff-token' ? STAFF : null;
+    
+    return {
+        bucket,
+        upload: createAttachmentHandler({ store, storage, config }),
+        review: createAttachmentReviewHandler({ store, storage, authenticateStaff }),
+        rows: () => store.select('attachments')
+    };
+}
+
+// Upload a PDF and return its attachment id
+async function uploadPdf(upload, name) {
+    const { status, body } = await upload({
+        formId: 'contact',
+        fileName: name,
+        contentType: 'application/pdf',
+        body: PDF
+    }, { ip: '203.0.113.7' });
+    
+    assert.equal(status, 201);
+    return body.attachment.id;
+}
+
+test('approving moves the file out of quarantine and records the reviewer', async t => {
+    const { bucket, upload, review, rows } = setup(t);
+    const id = await uploadPdf(upload, 'scope.pdf');
+    
+    const { status, body } = await review({ id, action: 'approve' }, { authorization: 'Bearer staff-token' });
+    const [row] = await rows();
+    
+    assert.equal(status, 200);
+    assert.equal(body.attachment.status, 'approved');
+    assert.equal(row.storage_path, `approved/${id}/scope.pdf`);
+    assert.equal(row.reviewed_by, STAFF.email);
+    assert.ok(fs.existsSync(path.join(bucket, 'approved', id, 'scope.pdf')));
+    assert.ok(!fs.existsSync(path.join(bucket, 'quarantine', id, 'scope.pdf')));
+});
+
+test('rejecting deletes the file', async t => {
+    const { bucket, upload, review, rows } = setup(t);
+    const id = await uploadPdf(upload, 'scope.pdf');
+    
+    const { status } = await review({ id, action: 'reject' }, { authorization: 'Bearer staff-token' });
+    const [row] = await rows();
+    
+    assert.equal(status, 200);
+    assert.equal(row.status, 'rejected');
+    assert.ok(!fs.existsSync(path.join(bucket, 'quarantine', id, 'scope.pdf')));
+});
+
+test('only staff can review, with a known attachment and action', async t => {
+    const { upload, review, rows } = setup(t);
+    const id = await uploadPdf(upload, 'scope.pdf');
+    
+    assert.equal((await review({ id, action: 'approve' }, { authorization: undefined })).status, 403);
+    assert.equal((await review({ id, action: 'approve' }, { authorization: 'Bearer someone-else' })).status, 403);
+    assert.equal((await review({ id, action: 'delete' }, { authorization: 'Bearer staff-token' })).status, 400);
+    assert.equal((await review({ id: 'scope.pdf', action: 'approve' }, { authorization: 'Bearer staff-token' })).status, 400);
+    assert.equal((await review({
+        id: '00000000-0000-4000-8000-000000000000',
+        action: 'approve'
+    }, { authorization: 'Bearer staff-token' })).status, 404);
+    
+    const [row] = await rows();
+    assert.equal(row.status, 'quarantined');
+});
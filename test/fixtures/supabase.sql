@@ -0,0 +1,71 @@
+-- Supabase stand-ins for running the migrations on a plain Postgres (test/retention.test.js)
+-- The roles, auth.users/auth.uid() and the storage tables the migrations refer to,
+-- followed by the inquiries table from the README's "Database Setup".
+
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then
+    create role anon nologin;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then
+    create role authenticated nologin;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'service_role') then
+    create role service_role nologin;
+  end if;
+end;
+$$;
+
+create schema if not exists auth;
+
+create table if not exists auth.users (
+  id uuid primary key default gen_random_uuid(),
+  email text
+);
+
+create or replace function auth.uid()
+returns uuid
+language sql
+stable
+as $$
+  select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid;
+$$;
+
+create schema if not exists storage;
+
+create table if not exists storage.buckets (
+  id text primary key,
+  name text not null,
+  public boolean not null default false
+);
+
+create table if not exists storage.objects (
+  id uuid primary key default gen_random_uuid(),
+  bucket_id text references storage.buckets (id),
+  name text not null
+);
+
+alter table storage.objects enable row level security;
+
+-- README "Database Setup"
+create extension if not exists "uuid-ossp";
+
+create table if not exists public.inquiries (
+  id uuid primary key default uuid_generate_v4(),
+  created_at timestamptz not null default now(),
+  full_name text not null,
+  organisation text,
+  email text not null,
+  phone text,
+  message text not null,
+  consent boolean not null default true,
+  user_agent text,
+  ip text
+);
+
+alter table public.inquiries enable row level security;
+
+create policy "Allow inserts from anon" on public.inquiries
+  for insert to anon with check (true);
+
+revoke select, update, delete on public.inquiries from anon;
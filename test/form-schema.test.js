@@ -0,0 +1,73 @@
+/**
+ * ACTA Website Form Schema tests
+ * The validators and normalisers shared by the page and the submission server
+ *
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FormSchema = require('../assets/js/form-schema');
+
+const { VALIDATORS } = FormSchema;
+
+test('the date rule accepts real calendar dates', () => {
+    ['2026-03-02', '2024-02-29', '2026-12-31', '0099-01-01', ''].forEach(value => {
+        assert.equal(VALIDATORS.date(value), true, value);
+    });
+});
+
+test('the date rule rejects dates that Date.parse rolls over', () => {
+    ['2026-02-30', '2025-02-29', '2026-04-31', '2026-13-01', '2026-00-10', '2026-01-00', '2026-1-5', '30.02.2026'].forEach(value => {
+        assert.equal(VALIDATORS.date(value), false, value);
+    });
+});
+
+test('an impossible target date fails validation on the audit quote form', () => {
+    const schema = require('../assets/forms/audit-quote.json');
+    const field = schema.fields.find(item => item.name === 'target_start_date');
+    
+    assert.equal(FormSchema.validateField(field, { target_start_date: '2026-02-30' }).rule, 'date');
+});
+
+test('phone numbers are converted to E.164 with the selected country', () => {
+    const cases = [
+        ['21234567', 'MT', '+35621234567'],
+        ['+356 2123 4567', 'DE', '+35621234567'],
+        ['0035621234567', '', '+35621234567'],
+        ['030 1234567', 'DE', '+49301234567'],
+        ['(0)30-123 4567', 'DE', '+49301234567'],
+        ['01 23 45 67 89', 'FR', '+33123456789']
+    ];
+    
+    cases.forEach(([value, country, expected]) => {
+        assert.equal(FormSchema.toE164(value, country), expected, `${value} (${country})`);
+    });
+});
+
+test('phone numbers that cannot be converted are returned unchanged', () => {
+    assert.equal(FormSchema.toE164('21234567', ''), '21234567');
+    assert.equal(FormSchema.toE164('12ab', 'MT'), '12ab');
+    assert.equal(FormSchema.toE164('+12', 'MT'), '+12');
+    
+    ['constructor', '__proto__', 'toString'].forEach(country => {
+        assert.equal(FormSchema.toE164('21234567', country), '21234567', country);
+    });
+});
+
+test('email addresses with internationalised domains and local parts are accepted', () => {
+    ['maria@bücher.de', 'josé@example.com', '用户@例子.广告', 'x@xn--bcher-kva.de', 'anna.müller@straße.de'].forEach(value => {
+        assert.equal(FormSchema.isEmail(value), true, value);
+    });
+});
+
+test('email addresses with invalid or over-long domains are rejected', () => {
+    const longLabel = 'ä'.repeat(60);
+    
+    ['a@b', 'a..b@example.com', 'a@example.123', 'a@-bad.de', `a@${longLabel}.de`, '@bücher.de'].forEach(value => {
+        assert.equal(FormSchema.isEmail(value), false, value);
+    });
+});
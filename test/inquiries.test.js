@@ -0,0 +1,80 @@
+/**
+ * ACTA Website Inquiry Submission tests
+ * Submissions naming keys every object has ("constructor", "__proto__") as their form,
+ * phone country or locale are answered like any other unknown value, not with a 500
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../server/store');
+const { createInquiryHandler } = require('../server/inquiries');
+
+const OBJECT_KEYS = ['constructor', '__proto__', 'toString', 'hasOwnProperty'];
+
+// Inquiry handler over a fresh data directory
+function setup(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acta-inquiries-'));
+    const config = {
+        dataDir,
+        spamBlockThreshold: 60,
+        rateLimit: { maxPerIp: 100, maxPerEmail: 100, windowMs: 60 * 1000 }
+    };
+    const store = createStore(config);
+    
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    
+    return {
+        submit: payload => createInquiryHandler({ store, config })(payload, { ip: '203.0.113.7', userAgent: 'Mozilla/5.0' }),
+        rows: () => store.select('inquiries')
+    };
+}
+
+// A genuine contact form submission
+function contact(extra = {}) {
+    return {
+        form: 'contact',
+        full_name: 'Maria Camilleri',
+        email: 'maria.camilleri@transport.gov.mt',
+        message: 'Could you confirm your availability for a Conformity of Production audit next month?',
+        consent: true,
+        form_time_spent: 2 * 60 * 1000,
+        ...extra
+    };
+}
+
+test('a form id that is an object key is an unknown form', async t => {
+    const { submit } = setup(t);
+    
+    for (const form of OBJECT_KEYS) {
+        const { status, body } = await submit(contact({ form }));
+        
+        assert.equal(status, 400, form);
+        assert.deepEqual(body.fields, { form: 'unknown' }, form);
+    }
+});
+
+test('a phone country that is an object key fails validation', async t => {
+    const { submit } = setup(t);
+    
+    for (const country of OBJECT_KEYS) {
+        const { status, body } = await submit(contact({ phone_country: country, phone: '21234567' }));
+        
+        assert.equal(status, 400, country);
+        assert.ok(body.fields.phone_country, country);
+    }
+});
+
+test('a locale that is an object key is stored as the default', async t => {
+    const { submit, rows } = setup(t);
+    
+    const { status } = await submit(contact({ locale: 'constructor' }));
+    
+    assert.equal(status, 201);
+    assert.equal((await rows())[0].locale, 'en');
+});
@@ -0,0 +1,81 @@
+/**
+ * ACTA Website Locales tests
+ * Locale matching and plural messages as the server translates them for emails,
+ * through the lookup shared with the page (assets/js/messages.js)
+ *
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_LOCALE, loadCatalogues, matchLocale, createTranslator } = require('../server/locales');
+const Messages = require('../assets/js/messages');
+
+const catalogues = loadCatalogues();
+
+// Catalogues with a plural message in languages with different plural rules
+const PLURALS = {
+    en: { files: { one: '{count} file', other: '{count} files' } },
+    fr: { files: { one: '{count} fichier', other: '{count} fichiers' } },
+    pl: { files: { one: '{count} plik', few: '{count} pliki', many: '{count} plików', other: '{count} pliku' } }
+};
+
+test('locales match exactly, then by language, then fall back to the default', () => {
+    assert.equal(matchLocale(catalogues, 'de'), 'de');
+    assert.equal(matchLocale(catalogues, ' DE-at '), 'de');
+    assert.equal(matchLocale(catalogues, 'fr-CA'), 'fr');
+    assert.equal(matchLocale(catalogues, 'pt-BR'), DEFAULT_LOCALE);
+    assert.equal(matchLocale(catalogues, ''), DEFAULT_LOCALE);
+    assert.equal(matchLocale(catalogues, 42), DEFAULT_LOCALE);
+});
+
+test('keys every object has are not locales', () => {
+    ['constructor', '__proto__', 'toString', 'hasOwnProperty-x'].forEach(locale => {
+        assert.equal(matchLocale(catalogues, locale), DEFAULT_LOCALE, locale);
+    });
+});
+
+test('plural messages follow the language\'s plural rules', () => {
+    const en = createTranslator(PLURALS, 'en');
+    const fr = createTranslator(PLURALS, 'fr');
+    const pl = createTranslator(PLURALS, 'pl');
+    
+    assert.equal(en('files', { count: 1 }), '1 file');
+    assert.equal(en('files', { count: 0 }), '0 files');
+    assert.equal(fr('files', { count: 0 }), '0 fichier');
+    assert.equal(fr('files', { count: 2 }), '2 fichiers');
+    assert.equal(pl('files', { count: 3 }), '3 pliki');
+    assert.equal(pl('files', { count: 5 }), '5 plików');
+    assert.equal(pl('files', { count: 1.5 }), '1.5 pliku');
+});
+
+test('plural messages without a count use "other"', () => {
+    const en = createTranslator(PLURALS, 'en');
+    
+    assert.equal(en('files'), '{count} files');
+    assert.equal(en('files', { count: 'many' }), 'many files');
+});
+
+test('plural messages from the shipped catalogues', () => {
+    const de = createTranslator(catalogues, 'de');
+    
+    assert.equal(de('form.results.rateLimitedRetry', { count: 1 }), 'Zu viele Anfragen. Bitte versuchen Sie es in 1 Minute erneut.');
+    assert.equal(de('form.results.rateLimitedRetry', { count: 5 }), 'Zu viele Anfragen. Bitte versuchen Sie es in 5 Minuten erneut.');
+});
+
+test('missing messages fall back to the default locale, the fallback text, then the key', () => {
+    const fr = createTranslator({ en: { only: { english: 'English only' } }, fr: {} }, 'fr');
+    
+    assert.equal(fr('only.english'), 'English only');
+    assert.equal(fr('missing', {}, 'Fallback {name}'), 'Fallback {name}');
+    assert.equal(fr('missing'), 'missing');
+});
+
+test('groups of messages are not mistaken for plural forms', () => {
+    assert.equal(Messages.isPluralForms({ one: 'a', other: 'b' }), true);
+    assert.equal(Messages.isPluralForms({ other: 'b', title: 'c' }), false);
+    assert.equal(Messages.lookup({ group: { other: 'b', title: 'c' } }, 'group'), null);
+});
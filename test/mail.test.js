@@ -0,0 +1,131 @@
+/**
+ * ACTA Website Mail Transport tests
+ * The SMTP client against a scripted fake SMTP server on localhost
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const { createMailTransport } = require('../server/mail');
+
+// Fake SMTP server advertising the given EHLO extensions; records every command and
+// the message lines
+function startServer(t, extensions = []) {
+    const commands = [];
+    const data = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        
+        socket.write('220 fake.test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+                
+                commands.push(line);
+                
+                if (/^EHLO/i.test(line)) {
+                    const lines = ['fake.test', ...extensions];
+                    socket.write(lines.map((item, i) => `250${i === lines.length - 1 ? ' ' : '-'}${item}\r\n`).join(''));
+                } else if (/^DATA/i.test(line)) {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else if (/^AUTH/i.test(line)) {
+                    socket.write('235 ok\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    
+    t.after(() => server.close());
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, commands, data }));
+    });
+}
+
+// SMTP transport pointed at the fake server
+function transportFor(port, smtp = {}) {
+    return createMailTransport({
+        dataDir: '.data',
+        mail: {
+            transport: 'smtp',
+            smtp: { host: '127.0.0.1', port, secure: false, user: '', password: '', timeout: 5000, ...smtp }
+        }
+    });
+}
+
+const MESSAGE = {
+    from: 'ACIU <no-reply@acta-approval.com.mt>',
+    to: 'maria@example.com',
+    subject: 'Test',
+    text: 'Hello'
+};
+
+test('sends without credentials over a plain connection', async t => {
+    const { port, commands } = await startServer(t);
+    
+    await transportFor(port).send(MESSAGE);
+    
+    assert.deepEqual(commands.slice(1), [
+        'MAIL FROM:<no-reply@acta-approval.com.mt>',
+        'RCPT TO:<maria@example.com>',
+        'DATA',
+        'QUIT'
+    ]);
+});
+
+test('refuses to send credentials when the server offers no STARTTLS', async t => {
+    const { port, commands } = await startServer(t, ['AUTH PLAIN']);
+    
+    await assert.rejects(transportFor(port, { user: 'mailer', password: 'secret' }).send(MESSAGE), /STARTTLS/);
+    assert.ok(commands.every(line => !line.startsWith('AUTH')));
+    assert.ok(commands.every(line => !line.startsWith('MAIL FROM')));
+});
+
+test('sends IDN domains as punycode, in the envelope and the headers', async t => {
+    const { port, commands, data } = await startServer(t);
+    
+    await transportFor(port).send({ ...MESSAGE, to: 'anna@bücher.de', replyTo: 'Team <team@bücher.de>' });
+    
+    assert.ok(commands.includes('MAIL FROM:<no-reply@acta-approval.com.mt>'));
+    assert.ok(commands.includes('RCPT TO:<anna@xn--bcher-kva.de>'));
+    assert.ok(data.includes('To: anna@xn--bcher-kva.de'));
+    assert.ok(data.includes('Reply-To: Team <team@xn--bcher-kva.de>'));
+});
+
+test('uses SMTPUTF8 for a Unicode local part when the server offers it', async t => {
+    const { port, commands } = await startServer(t, ['SMTPUTF8']);
+    
+    await transportFor(port).send({ ...MESSAGE, to: 'jürgen@bücher.de' });
+    
+    assert.ok(commands.includes('MAIL FROM:<no-reply@acta-approval.com.mt> SMTPUTF8'));
+    assert.ok(commands.includes('RCPT TO:<jürgen@xn--bcher-kva.de>'));
+});
+
+test('fails clearly for a Unicode local part without SMTPUTF8', async t => {
+    const { port, commands } = await startServer(t);
+    
+    await assert.rejects(transportFor(port).send({ ...MESSAGE, to: 'jürgen@example.com' }), /SMTPUTF8/);
+    assert.ok(commands.every(line => !line.startsWith('MAIL FROM')));
+});
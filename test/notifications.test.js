@@ -0,0 +1,74 @@
+/**
+ * ACTA Website Notification tests
+ * The acknowledgement goes to an unverified address, so none of the submitted text may
+ * appear in it; the team notification carries the whole inquiry
+ *
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createNotifier } = require('../server/notifications');
+const { loadFormSchemas } = require('../server/forms');
+
+const schema = loadFormSchemas().contact;
+
+// Text a spammer would like to relay through the form
+const PAYLOAD = 'Cheap watches at https://spam.example';
+
+// A stored inquiry whose free-text fields carry the payload
+function inquiry(locale) {
+    return {
+        id: 1,
+        reference: 'ACIU-2026-ABC123',
+        locale,
+        full_name: `Win big! ${PAYLOAD}`,
+        organisation: PAYLOAD,
+        email: 'victim@example.com',
+        message: PAYLOAD
+    };
+}
+
+// Notifier recording the messages it sends
+function setup() {
+    const sent = [];
+    const notify = createNotifier({
+        transport: { name: 'test', send: async message => sent.push(message) },
+        config: {
+            siteUrl: 'https://acta-approval.com.mt',
+            mail: { from: 'ACIU <no-reply@acta-approval.com.mt>', teamAddress: 'team@acta-approval.com.mt', sendAcknowledgement: true }
+        }
+    });
+    
+    return { sent, notify };
+}
+
+for (const locale of ['en', 'de', 'fr']) {
+    test(`the ${locale} acknowledgement echoes nothing that was submitted`, async () => {
+        const { sent, notify } = setup();
+        
+        await notify(schema, inquiry(locale));
+        
+        const acknowledgement = sent.find(message => message.to === 'victim@example.com');
+        
+        assert.ok(acknowledgement.text.includes('ACIU-2026-ABC123'));
+        assert.ok(acknowledgement.subject.includes('ACIU-2026-ABC123'));
+        assert.equal(acknowledgement.text.includes('Win big'), false);
+        assert.equal(acknowledgement.text.includes(PAYLOAD), false);
+        assert.equal(acknowledgement.subject.includes(PAYLOAD), false);
+    });
+}
+
+test('the team notification carries the inquiry', async () => {
+    const { sent, notify } = setup();
+    
+    await notify(schema, inquiry('en'));
+    
+    const notification = sent.find(message => message.to === 'team@acta-approval.com.mt');
+    
+    assert.equal(notification.replyTo, 'victim@example.com');
+    assert.ok(notification.text.includes(PAYLOAD));
+});
@@ -0,0 +1,256 @@
+/**
+ * ACTA Website Retention tests
+ * Loads the migrations into a throwaway database on a local Postgres, seeds old, spam,
+ * unlinked and recent data, and compares the dry-run report with the applied run.
+ *
+ * Usage: TEST_DATABASE_URL=postgres://postgres@localhost:5432/postgres npm test
+ * The role needs to create databases; the suite is skipped without TEST_DATABASE_URL.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { runRetention } = require('../server/retention');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SQL_DIR = path.resolve(__dirname, '..', 'sql');
+const FIXTURE = path.resolve(__dirname, 'fixtures', 'supabase.sql');
+
+// The retention periods in server/config.js
+const SETTINGS = {
+    technicalDataDays: 365,
+    anonymiseAfterDays: 730,
+    spamAfterDays: 30,
+    unlinkedAttachmentHours: 24
+};
+
+// Connect to a database on the TEST_DATABASE_URL server
+function connect(database) {
+    const { Client } = require('pg');
+    const url = new URL(DATABASE_URL);
+    
+    if (database) {
+        url.pathname = `/${database}`;
+    }
+    
+    return new Client({ connectionString: url.toString() });
+}
+
+// The store's rpc() against the test database, with named arguments like PostgREST
+function createStore(client) {
+    return {
+        async rpc(fn, args) {
+            const names = Object.keys(args);
+            const list = names.map((name, i) => `${name} => $${i + 1}`).join(', ');
+            const { rows } = await client.query(`select public.${fn}(${list}) as result`, names.map(name => args[name]));
+            return rows[0].result;
+        }
+    };
+}
+
+// Storage stand-in recording what the job deletes
+function createStorage() {
+    const removed = [];
+    
+    return {
+        removed,
+        async remove(objectPath) {
+            removed.push(objectPath);
+        }
+    };
+}
+
+// Seed rows dated relative to now; returns their ids by name
+async function seed(client) {
+    const ids = {};
+    
+    async function inquiry(name, { daysAgo, status = 'new', ip = '203.0.113.7' }) {
+        const { rows } = await client.query(
+            `insert into inquiries (full_name, email, phone, organisation, message, ip, user_agent, status, created_at)
+             values ($1, $2, '+35621000000', 'Transport Malta', 'Please quote for a CoP audit.', $3, 'Mozilla/5.0', $4,
+                     now() - make_interval(days => $5))
+             returning id`,
+            [name, `${name}@example.com`, ip, status, daysAgo]
+        );
+        ids[name] = rows[0].id;
+    }
+    
+    async function attachment(name, { inquiry, hoursAgo }) {
+        const { rows } = await client.query(
+            `insert into attachments (inquiry_id, form_type, file_name, content_type, size_bytes, storage_path, created_at)
+             values ($1, 'contact', 'scope.pdf', 'application/pdf', 1024, 'quarantine/' || $2 || '/scope.pdf',
+                     now() - make_interval(hours => $3))
+             returning id`,
+            [inquiry ? ids[inquiry] : null, name, hoursAgo]
+        );
+        ids[name] = rows[0].id;
+    }
+    
+    async function dataRequest(name, { daysAgo, status }) {
+        const { rows } = await client.query(
+            `insert into data_requests (email, request_type, status, token_hash, token_expires_at, ip, user_agent, created_at)
+             values ($1, 'erasure', $2, 'hash', now() - make_interval(days => $3) + interval '1 hour',
+                     '198.51.100.4', 'Mozilla/5.0', now() - make_interval(days => $3))
+             returning id`,
+            [`${name}@example.com`, status, daysAgo]
+        );
+        ids[name] = rows[0].id;
+        await client.query(
+            `insert into data_request_events (request_id, event, ip, created_at)
+             values ($1, 'requested', '198.51.100.4', now() - make_interval(days => $2))`,
+            [ids[name], daysAgo]
+        );
+    }
+    
+    await inquiry('oldSpam', { daysAgo: 40, status: 'spam' });
+    await inquiry('recentSpam', { daysAgo: 5, status: 'spam' });
+    await inquiry('expired', { daysAgo: 800 });
+    await inquiry('yearOld', { daysAgo: 400 });
+    await inquiry('recent', { daysAgo: 10 });
+    
+    await attachment('spamFile', { inquiry: 'oldSpam', hoursAgo: 40 * 24 });
+    await attachment('expiredFile', { inquiry: 'expired', hoursAgo: 800 * 24 });
+    await attachment('recentFile', { inquiry: 'recent', hoursAgo: 10 * 24 });
+    await attachment('abandonedFile', { hoursAgo: 48 });
+    await attachment('pendingFile', { hoursAgo: 1 });
+    
+    await dataRequest('oldCompleted', { daysAgo: 800, status: 'completed' });
+    await dataRequest('oldUnverified', { daysAgo: 800, status: 'pending_verification' });
+    await dataRequest('oldFailed', { daysAgo: 800, status: 'failed' });
+    await dataRequest('yearOldRequest', { daysAgo: 400, status: 'completed' });
+    await dataRequest('recentRequest', { daysAgo: 10, status: 'completed' });
+    
+    return ids;
+}
+
+// Everything the job may change, to compare before and after a dry run
+async function snapshot(client) {
+    const tables = ['inquiries', 'attachments', 'data_requests', 'data_request_events'];
+    const state = {};
+    
+    for (const table of tables) {
+        state[table] = (await client.query(`select * from ${table} order by id`)).rows;
+    }
+    
+    return state;
+}
+
+test('retention against a local Postgres', { skip: !DATABASE_URL && 'TEST_DATABASE_URL is not set' }, async t => {
+    const database = `acta_retention_test_${process.pid}`;
+    const admin = connect();
+    
+    await admin.connect();
+    await admin.query(`create database ${database}`);
+    
+    const client = connect(database);
+    await client.connect();
+    
+    t.after(async () => {
+        await client.end();
+        await admin.query(`drop database if exists ${database}`);
+        await admin.end();
+    });
+    
+    await client.query(fs.readFileSync(FIXTURE, 'utf8'));
+    
+    for (const file of fs.readdirSync(SQL_DIR).filter(name => name.endsWith('.sql')).sort()) {
+        await client.query(fs.readFileSync(path.join(SQL_DIR, file), 'utf8'));
+    }
+    
+    const ids = await seed(client);
+    const store = createStore(client);
+    const sorted = list => [...list].sort();
+    
+    const before = await snapshot(client);
+    const dryStorage = createStorage();
+    const dryRun = await runRetention({ store, storage: dryStorage, settings: SETTINGS, dryRun: true });
+    
+    await t.test('the dry run reports every rule and changes nothing', async () => {
+        assert.equal(dryRun.dry_run, true);
+        assert.deepEqual(dryRun.inquiry_ids.spam_deleted, [ids.oldSpam]);
+        assert.deepEqual(dryRun.inquiry_ids.anonymised, [ids.expired]);
+        assert.deepEqual(dryRun.inquiry_ids.technical_cleared, [ids.yearOld]);
+        assert.deepEqual(dryRun.attachment_ids.unlinked_removed, [ids.abandonedFile]);
+        assert.deepEqual(sorted(dryRun.data_request_ids.anonymised), sorted([ids.oldCompleted, ids.oldUnverified]));
+        assert.deepEqual(sorted(dryRun.data_request_ids.technical_cleared),
+            sorted([ids.oldCompleted, ids.oldUnverified, ids.oldFailed, ids.yearOldRequest]));
+        assert.deepEqual(dryRun.attachment_paths, sorted([
+            'quarantine/abandonedFile/scope.pdf',
+            'quarantine/expiredFile/scope.pdf',
+            'quarantine/spamFile/scope.pdf'
+        ]));
+        assert.equal(dryRun.attachments_removed, 3);
+        assert.equal(dryRun.unlinked_attachments_removed, 1);
+        assert.deepEqual(dryStorage.removed, []);
+        assert.deepEqual(await snapshot(client), before);
+    });
+    
+    const storage = createStorage();
+    const applied = await runRetention({ store, storage, settings: SETTINGS, dryRun: false });
+    
+    await t.test('the applied run does what the dry run reported', async () => {
+        const keys = ['spam_deleted', 'anonymised', 'technical_cleared', 'attachments_removed',
+            'unlinked_attachments_removed', 'data_requests_anonymised', 'data_requests_technical_cleared',
+            'inquiry_ids', 'attachment_ids', 'data_request_ids', 'attachment_paths'];
+        
+        keys.forEach(key => assert.deepEqual(applied[key], dryRun[key], key));
+        assert.equal(applied.dry_run, false);
+        assert.deepEqual(storage.removed, dryRun.attachment_paths);
+        assert.deepEqual(applied.files, { removed: 3, failed: [] });
+    });
+    
+    await t.test('inquiries are deleted, anonymised or cleared', async () => {
+        const { rows } = await client.query('select * from inquiries');
+        const byId = new Map(rows.map(row => [row.id, row]));
+        
+        assert.equal(byId.has(ids.oldSpam), false);
+        assert.equal(byId.get(ids.recentSpam).email, 'recentSpam@example.com');
+        assert.equal(byId.get(ids.expired).email, 'anonymised@invalid');
+        assert.equal(byId.get(ids.expired).message, '[removed]');
+        assert.equal(byId.get(ids.expired).phone, null);
+        assert.equal(byId.get(ids.yearOld).ip, null);
+        assert.equal(byId.get(ids.yearOld).email, 'yearOld@example.com');
+        assert.equal(byId.get(ids.recent).ip, '203.0.113.7');
+    });
+    
+    await t.test('only linked, recent and fresh uploads keep their attachment rows', async () => {
+        const { rows } = await client.query('select id from attachments');
+        
+        assert.deepEqual(sorted(rows.map(row => row.id)), sorted([ids.recentFile, ids.pendingFile]));
+    });
+    
+    await t.test('data requests lose their email and technical data, open ones only the latter', async () => {
+        const { rows } = await client.query('select * from data_requests');
+        const byId = new Map(rows.map(row => [row.id, row]));
+        const { rows: events } = await client.query('select request_id, ip from data_request_events');
+        const eventIp = new Map(events.map(row => [row.request_id, row.ip]));
+        
+        assert.equal(byId.get(ids.oldCompleted).email, 'anonymised@invalid');
+        assert.equal(byId.get(ids.oldCompleted).token_hash, null);
+        assert.equal(byId.get(ids.oldCompleted).status, 'completed');
+        assert.equal(byId.get(ids.oldUnverified).email, 'anonymised@invalid');
+        assert.equal(byId.get(ids.oldFailed).email, 'oldFailed@example.com');
+        assert.equal(byId.get(ids.yearOldRequest).email, 'yearOldRequest@example.com');
+        
+        [ids.oldCompleted, ids.oldUnverified, ids.oldFailed, ids.yearOldRequest].forEach(id => {
+            assert.equal(byId.get(id).ip, null);
+            assert.equal(byId.get(id).user_agent, null);
+            assert.equal(eventIp.get(id), null);
+        });
+        
+        assert.equal(byId.get(ids.recentRequest).ip, '198.51.100.4');
+        assert.equal(eventIp.get(ids.recentRequest), '198.51.100.4');
+    });
+    
+    await t.test('both runs are recorded without the attachment paths', async () => {
+        const { rows } = await client.query('select dry_run, report from retention_runs order by id');
+        
+        assert.deepEqual(rows.map(row => row.dry_run), [true, false]);
+        assert.equal('attachment_paths' in rows[1].report, false);
+        assert.equal(rows[1].report.unlinked_attachments_removed, 1);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * ACTA Website Spam Scoring tests
+ * Real genuine authority requests and real spam, scored against the default threshold
+ *
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SpamRules = require('../assets/js/spam-rules');
+
+const { DEFAULT_THRESHOLD } = SpamRules;
+
+// Time a visitor typically spends on the form (ms)
+const TWO_MINUTES = 2 * 60 * 1000;
+const TWELVE_MINUTES = 12 * 60 * 1000;
+
+// Rule names that fired, in order
+function rules(result) {
+    return result.reasons.map(item => item.rule);
+}
+
+// Genuine requests from authorities and manufacturers: none may be blocked
+const GENUINE = [
+    {
+        name: 'urgent CoP request with a regulation number',
+        input: {
+            full_name: 'Maria Camilleri',
+            email: 'maria.camilleri@transport.gov.mt',
+            message: 'Urgent: we need a Conformity of Production audit for a manufacturer holding EU type approvals under Regulation (EU) 2018/858 before the end of next month. Could you confirm availability?',
+            form_time_spent: TWO_MINUTES
+        },
+        score: 0,
+        rules: []
+    },
+    {
+        name: 'cyber security audit under UN R155 and R156',
+        input: {
+            full_name: 'Jonas Weber',
+            email: 'j.weber@kba-partner.de',
+            message: 'We are preparing the CSMS assessment for UN R155 and the software update management system under UN R156 for an M1/N1 vehicle family. Please send us your audit scope and lead times.',
+            form_time_spent: TWO_MINUTES
+        },
+        score: 0,
+        rules: []
+    },
+    {
+        name: 'long careful request written over more than 5 minutes',
+        input: {
+            full_name: 'Claire Dubois',
+            email: 'claire.dubois@ecologie.gouv.fr',
+            message: [
+                'Dear ACIU team,',
+                'Our approval authority is reviewing its oversight arrangements for technical services designated under Regulation (EU) 2018/858, and we would like to understand how you could support us.',
+                'In particular, we are interested in independent witnessing of tests carried out by two technical services for whole vehicle type approval of category N2 and N3 vehicles, including the emission tests under Regulation (EC) No 595/2009 and the braking tests under UN R13.',
+                'We would also welcome a review of the homologation dossiers submitted over the last twelve months, with a short report on recurring gaps and a proposal for KPIs we could track each quarter.',
+                'The work would need to start in the second quarter and run for at least one year. Please let us know what information you need from us to prepare a proposal, whether you can sign our standard confidentiality agreement, and who would lead the engagement on your side.',
+                'If it helps, we can share the designation decisions and the last two assessment reports in advance.',
+                'Kind regards, Claire Dubois, Head of Vehicle Approvals'
+            ].join('\n\n'),
+            form_time_spent: TWELVE_MINUTES
+        },
+        score: 25,
+        rules: ['long_message', 'stale_submission']
+    },
+    {
+        name: 'short follow-up with a reference number',
+        input: {
+            full_name: 'Peter Borg',
+            email: 'peter.borg@example.com.mt',
+            message: 'Following up on ACIU-2026-0412: the signed NDA is attached.',
+            form_time_spent: 45000
+        },
+        score: 0,
+        rules: []
+    }
+];
+
+// Spam as received through contact forms: every sample must be blocked
+const SPAM = [
+    {
+        name: 'SEO offer with links',
+        input: {
+            full_name: 'Best SEO',
+            email: 'offers@rank-fast.example',
+            message: 'Hello, we offer SEO services and high quality backlinks! Click here: https://rank-fast.example https://rank-fast.example/prices www.rank-fast.example buy now!',
+            form_time_spent: 1200
+        },
+        score: 100,
+        rules: ['spam_phrase', 'spam_phrase', 'spam_phrase', 'spam_phrase', 'links', 'fast_submission']
+    },
+    {
+        name: 'shouted crypto giveaway',
+        input: {
+            full_name: 'Lucky Winner',
+            email: 'winner@lottery.example',
+            message: 'YOU ARE THE LOTTERY WINNER!!!!! CLAIM YOUR FREE MONEY IN BITCOIN TODAY',
+            form_time_spent: 800
+        },
+        score: 100,
+        rules: ['spam_phrase', 'spam_phrase', 'spam_phrase', 'spam_phrase', 'excessive_caps', 'repeated_characters', 'fast_submission']
+    },
+    {
+        name: 'bot filling the form instantly with gibberish',
+        input: {
+            full_name: 'xjkqwe',
+            email: 'xjkqwe@mail.example',
+            message: 'aaaaaaaa 5555555 $$$',
+            form_time_spent: 150
+        },
+        score: 75,
+        rules: ['excessive_digits', 'excessive_symbols', 'short_message', 'repeated_characters', 'fast_submission']
+    }
+];
+
+GENUINE.forEach(sample => {
+    test(`genuine: ${sample.name}`, () => {
+        const result = SpamRules.score(sample.input);
+        
+        assert.equal(result.score, sample.score);
+        assert.equal(result.blocked, false);
+        assert.ok(result.score < DEFAULT_THRESHOLD);
+        assert.deepEqual(rules(result), sample.rules);
+    });
+});
+
+SPAM.forEach(sample => {
+    test(`spam: ${sample.name}`, () => {
+        const result = SpamRules.score(sample.input);
+        
+        assert.equal(result.score, sample.score);
+        assert.equal(result.blocked, true);
+        assert.ok(result.score >= DEFAULT_THRESHOLD);
+        assert.deepEqual(rules(result), sample.rules);
+    });
+});
+
+test('"urgent" alone does not add to the score', () => {
+    const result = SpamRules.score({
+        message: 'URGENT request: please call us about a type approval audit.',
+        form_time_spent: TWO_MINUTES
+    });
+    
+    assert.ok(!rules(result).includes('spam_phrase'));
+});
+
+test('the score is capped at 100 and a custom threshold is respected', () => {
+    const input = SPAM[1].input;
+    
+    assert.equal(SpamRules.score(input).score, 100);
+    assert.equal(SpamRules.score(GENUINE[2].input, { threshold: 20 }).blocked, true);
+    assert.equal(SpamRules.createScorer({ threshold: 101 })(input).blocked, false);
+});
+
+test('missing and non-string fields are scored as empty', () => {
+    const result = SpamRules.score({ message: 42, form_time_spent: 'soon' });
+    
+    assert.deepEqual(rules(result), ['short_message', 'fast_submission']);
+    assert.equal(result.score, 35);
+});